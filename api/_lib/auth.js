@@ -0,0 +1,191 @@
+import crypto from 'node:crypto'
+import { RequestError, readRequestBody, sendRequestError } from './http.js'
+
+// Sign-in for the dashboard and the reports API. Each role has a shared
+// password (`REPORTS_VIEWER_PASSWORD`, `REPORTS_EDITOR_PASSWORD`); signing in
+// at `/api/session` returns a session token signed with
+// `REPORTS_SESSION_SECRET` (HMAC-SHA256). Browsers keep it in an HttpOnly
+// cookie, scripts send it as `Authorization: Bearer <token>`.
+
+// Ordered by privilege: a role may do everything the roles before it may.
+export const ROLES = ['viewer', 'editor']
+
+const SESSION_COOKIE = 'report_session'
+const SESSION_TTL_SECONDS = 12 * 60 * 60
+const MIN_SECRET_LENGTH = 32
+const FAILED_SIGN_IN_DELAY_MS = 1000
+const MAX_FAILED_SIGN_INS = 5
+const FAILED_SIGN_IN_WINDOW_MS = 15 * 60 * 1000
+const MAX_TRACKED_ADDRESSES = 1000
+
+// `{ [address]: { count, resetAt } }` of wrong passwords, oldest first. Kept
+// per process (a warm function instance on Vercel), which is enough to slow
+// down guessing the shared passwords.
+const failedSignIns = new Map()
+
+const getSessionSecret = () => {
+  const secret = process.env.REPORTS_SESSION_SECRET || ''
+  if (secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`REPORTS_SESSION_SECRET must be at least ${MIN_SECRET_LENGTH} characters`)
+  }
+  return secret
+}
+
+const sign = (value) => {
+  return crypto.createHmac('sha256', getSessionSecret()).update(value).digest('base64url')
+}
+
+// Compares digests so neither the contents nor the length of `expected` leak
+// through timing.
+const safeEqual = (value, expected) => {
+  const digest = (text) => crypto.createHash('sha256').update(String(text)).digest()
+  return crypto.timingSafeEqual(digest(value), digest(expected))
+}
+
+export const createSessionToken = (role, now = Date.now()) => {
+  const claims = { role, exp: Math.floor(now / 1000) + SESSION_TTL_SECONDS }
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url')
+  return `${payload}.${sign(payload)}`
+}
+
+// `{ role, expiresAt }` for a valid token that has not expired, else null.
+export const verifySessionToken = (token, now = Date.now()) => {
+  const [payload, signature, ...rest] = String(token || '').split('.')
+  if (!payload || !signature || rest.length || !safeEqual(signature, sign(payload))) return null
+  let claims
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  } catch (error) {
+    return null
+  }
+  if (!ROLES.includes(claims?.role) || !Number.isInteger(claims.exp)) return null
+  if (claims.exp * 1000 <= now) return null
+  return { role: claims.role, expiresAt: new Date(claims.exp * 1000).toISOString() }
+}
+
+export const hasRole = (session, role) => {
+  return Boolean(session) && ROLES.indexOf(session.role) >= ROLES.indexOf(role)
+}
+
+const readCookie = (header, name) => {
+  const entry = String(header || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`))
+  return entry ? entry.slice(name.length + 1) : ''
+}
+
+const readRequestToken = (request) => {
+  const match = String(request.headers?.authorization || '').match(/^Bearer\s+(\S+)$/i)
+  return match ? match[1] : readCookie(request.headers?.cookie, SESSION_COOKIE)
+}
+
+// The session of the request, or null when it has none or an invalid one.
+// Throws when the server has no session secret, so the API never runs open.
+export const readSession = (request) => {
+  getSessionSecret()
+  return verifySessionToken(readRequestToken(request))
+}
+
+// The highest role whose password matches. Roles without a password cannot
+// be signed in to. Every password is compared, so the time taken does not
+// tell which role matched.
+const findRoleForPassword = (password) => {
+  if (typeof password !== 'string' || !password) return null
+  const passwords = {
+    viewer: process.env.REPORTS_VIEWER_PASSWORD,
+    editor: process.env.REPORTS_EDITOR_PASSWORD,
+  }
+  const matches = ROLES.filter((role) => passwords[role] && safeEqual(password, passwords[role]))
+  return matches.length ? matches[matches.length - 1] : null
+}
+
+// `x-forwarded-for` is set by the client unless a proxy in front replaces or
+// appends to it, so it is only read on Vercel or with `REPORTS_TRUST_PROXY`;
+// the last entry is the one the proxy added.
+const getClientAddress = (request) => {
+  const trustProxy = process.env.VERCEL === '1' || process.env.REPORTS_TRUST_PROXY === 'true'
+  const forwarded = trustProxy
+    ? String(request.headers?.['x-forwarded-for'] || '')
+        .split(',')
+        .pop()
+        .trim()
+    : ''
+  return forwarded || request.socket?.remoteAddress || 'unknown'
+}
+
+// Throws 429 while the address has used up its wrong passwords for the window.
+const checkSignInAllowed = (address, now = Date.now()) => {
+  const entry = failedSignIns.get(address)
+  if (!entry || entry.resetAt <= now || entry.count < MAX_FAILED_SIGN_INS) return
+  const retryAfter = Math.ceil((entry.resetAt - now) / 1000)
+  throw new RequestError(429, 'Too many failed sign-ins', [`Retry after ${retryAfter} seconds`])
+}
+
+// Expired entries are dropped first; past MAX_TRACKED_ADDRESSES the oldest
+// address is forgotten so the map stays bounded.
+const recordFailedSignIn = (address, now = Date.now()) => {
+  failedSignIns.forEach((entry, key) => {
+    if (entry.resetAt <= now) failedSignIns.delete(key)
+  })
+  if (!failedSignIns.has(address) && failedSignIns.size >= MAX_TRACKED_ADDRESSES) {
+    failedSignIns.delete(failedSignIns.keys().next().value)
+  }
+  const entry = failedSignIns.get(address) || { count: 0, resetAt: now + FAILED_SIGN_IN_WINDOW_MS }
+  failedSignIns.set(address, { ...entry, count: entry.count + 1 })
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const buildSessionCookie = (request, token, maxAge) => {
+  const isHttps =
+    request.headers?.['x-forwarded-proto'] === 'https' || Boolean(request.socket?.encrypted)
+  return [
+    `${SESSION_COOKIE}=${token}`,
+    'Path=/api',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAge}`,
+    ...(isHttps ? ['Secure'] : []),
+  ].join('; ')
+}
+
+// `POST { password, bearer }` signs in (the token is returned in the body
+// only when `bearer` is true, for scripts), `GET` returns the current session
+// and `DELETE` signs out. A wrong password is answered after a delay, and an
+// address gets `429` after MAX_FAILED_SIGN_INS of them within the window.
+export const handleSessionRequest = async (request, response) => {
+  response.setHeader('Cache-Control', 'no-store')
+  try {
+    if (request.method === 'GET') {
+      const session = readSession(request)
+      if (!session) throw new RequestError(401, 'Sign-in required')
+      response.status(200).json(session)
+    } else if (request.method === 'POST') {
+      const address = getClientAddress(request)
+      checkSignInAllowed(address)
+      const payload = readRequestBody(request)
+      const role = findRoleForPassword(payload?.password)
+      if (!role) {
+        recordFailedSignIn(address)
+        await wait(FAILED_SIGN_IN_DELAY_MS)
+        throw new RequestError(401, 'Wrong password')
+      }
+      failedSignIns.delete(address)
+      const token = createSessionToken(role)
+      response.setHeader('Set-Cookie', buildSessionCookie(request, token, SESSION_TTL_SECONDS))
+      response.status(200).json({
+        ...verifySessionToken(token),
+        ...(payload.bearer === true ? { token } : {}),
+      })
+    } else if (request.method === 'DELETE') {
+      response.setHeader('Set-Cookie', buildSessionCookie(request, '', 0))
+      response.status(204).end()
+    } else {
+      response.setHeader('Allow', 'GET, POST, DELETE')
+      throw new RequestError(405, `Method ${request.method} not allowed`)
+    }
+  } catch (error) {
+    sendRequestError(response, error)
+  }
+}
@@ -0,0 +1,29 @@
+// Request helpers shared by the API handlers.
+
+// Errors the client can fix; handlers answer with `status` and
+// `{ error, details }` instead of a 500.
+export class RequestError extends Error {
+  constructor(status, message, details = []) {
+    super(message)
+    this.status = status
+    this.details = details
+  }
+}
+
+// Vercel parses JSON bodies; the Vite middleware passes the raw string.
+export const readRequestBody = (request) => {
+  if (typeof request.body !== 'string') return request.body
+  try {
+    return JSON.parse(request.body)
+  } catch (error) {
+    return null
+  }
+}
+
+export const sendRequestError = (response, error) => {
+  if (error instanceof RequestError) {
+    response.status(error.status).json({ error: error.message, details: error.details })
+    return
+  }
+  response.status(500).json({ error: error.message })
+}
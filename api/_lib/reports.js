@@ -0,0 +1,533 @@
+import crypto from 'node:crypto'
+import {
+  AGE_GROUP_SCHEMES,
+  DEFAULT_SCHEME_ID,
+  MAX_AGE,
+  MIN_AGE,
+  getAgeGroupScheme,
+} from '../../src/lib/ageGroupSchemes.js'
+import { calculateRatio, regroupAgeHistogram } from '../../src/lib/aggregation.js'
+import { checkDataQuality } from '../../src/lib/dataQuality.js'
+import { addDays, getWeekdayLabel, parseDateLabel } from '../../src/lib/dates.js'
+import { getDimension } from '../../src/lib/dimensions.js'
+import {
+  OVERALL_SERIES_ID,
+  evaluateThresholds,
+  mergeThresholdConfig,
+} from '../../src/lib/thresholds.js'
+import { hasRole, readSession } from './auth.js'
+import { RequestError, readRequestBody, sendRequestError } from './http.js'
+import { createReportStorage } from './storage/index.js'
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000
+const MANUAL_SOURCE = 'manual'
+
+const getThresholdConfig = () => {
+  const raw = process.env.REPORT_THRESHOLDS
+  if (!raw) return mergeThresholdConfig(null)
+  try {
+    return mergeThresholdConfig(JSON.parse(raw))
+  } catch (error) {
+    throw new Error(`REPORT_THRESHOLDS is not valid JSON: ${error.message}`)
+  }
+}
+
+const formatKstTimestamp = (date) => {
+  const kstDate = new Date(date.getTime() + KST_OFFSET_MS)
+  const year = kstDate.getUTCFullYear()
+  const month = String(kstDate.getUTCMonth() + 1).padStart(2, '0')
+  const day = String(kstDate.getUTCDate()).padStart(2, '0')
+  const hours = String(kstDate.getUTCHours()).padStart(2, '0')
+  const minutes = String(kstDate.getUTCMinutes()).padStart(2, '0')
+  return `${year}-${month}-${day} ${hours}:${minutes}`
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0
+
+const isOptionalCount = (value) => value === undefined || isCount(value)
+
+const validateHistogram = (histogram, label, errors) => {
+  if (!histogram || typeof histogram !== 'object' || Array.isArray(histogram)) {
+    errors.push(`${label} must be an object of age counts`)
+    return
+  }
+  Object.keys(histogram).forEach((key) => {
+    const age = Number(key)
+    if (!Number.isInteger(age) || age < MIN_AGE || age > MAX_AGE) {
+      errors.push(`${label} has an invalid age "${key}"`)
+    } else if (!isCount(histogram[key])) {
+      errors.push(`${label}["${key}"] must be a non-negative integer`)
+    }
+  })
+}
+
+// `unique.ageHistogram` holds unique-patient ages (no patient ids); groups are
+// recomputed from it like the visit counts.
+const buildUniqueSummary = (uniqueHistogram, schemeId) => {
+  const { totalVisit, totalFever, overallRatio, groups } = regroupAgeHistogram(
+    uniqueHistogram,
+    schemeId,
+  )
+  return {
+    totalVisit,
+    totalFever,
+    overallRatio,
+    groups,
+    ageHistogram: { visit: uniqueHistogram.visit, fever: uniqueHistogram.fever },
+  }
+}
+
+const MAX_CATEGORY_LENGTH = 50
+
+const validateDimensions = (dimensions, errors) => {
+  if (!Array.isArray(dimensions)) {
+    errors.push('dimensions must be a list')
+    return
+  }
+  dimensions.forEach((dimension, index) => {
+    if (!getDimension(dimension?.id)) {
+      errors.push(`dimensions[${index}].id is not a known dimension`)
+      return
+    }
+    if (!Array.isArray(dimension.categories)) {
+      errors.push(`dimensions[${index}].categories must be a list`)
+      return
+    }
+    dimension.categories.forEach((category, categoryIndex) => {
+      const label = `dimensions[${index}].categories[${categoryIndex}]`
+      const value = category?.value
+      if (typeof value !== 'string' || !value || value.length > MAX_CATEGORY_LENGTH) {
+        errors.push(`${label}.value must be a category label`)
+      }
+      validateHistogram(category?.ageHistogram?.visit, `${label}.ageHistogram.visit`, errors)
+      validateHistogram(category?.ageHistogram?.fever, `${label}.ageHistogram.fever`, errors)
+    })
+  })
+}
+
+// Category totals are recomputed from their histograms, like the week's.
+const buildManualDimensions = (dimensions) => {
+  return dimensions.map((dimension) => ({
+    id: dimension.id,
+    label: getDimension(dimension.id).label,
+    categories: dimension.categories.map((category) => {
+      const { totalVisit, totalFever } = regroupAgeHistogram(category.ageHistogram)
+      return {
+        value: category.value,
+        totalVisit,
+        totalFever,
+        ageHistogram: {
+          visit: category.ageHistogram.visit,
+          fever: category.ageHistogram.fever,
+        },
+      }
+    }),
+  }))
+}
+
+// Day groups cannot be recomputed (the request carries no per-day ages), so
+// each must be a top-level group of the scheme, listed once, with counts that
+// add up to the day's totals.
+const validateDailyGroups = (daily, schemeId, errors) => {
+  const groupIds = getAgeGroupScheme(schemeId).groups.map((group) => group.id)
+  daily.forEach((day, index) => {
+    const label = `daily[${index}].groups`
+    const ids = day.groups.map((group) => group?.id)
+    if (ids.some((id) => !groupIds.includes(id)) || new Set(ids).size !== ids.length) {
+      errors.push(`${label} must list groups of scheme "${schemeId}" once each`)
+    } else if (
+      day.groups.some((group) => !isCount(group.totalCount) || !isCount(group.feverCount))
+    ) {
+      errors.push(`${label} counts must be non-negative integers`)
+    } else if (
+      day.groups.length &&
+      (day.groups.reduce((sum, group) => sum + group.totalCount, 0) !== day.totalVisit ||
+        day.groups.reduce((sum, group) => sum + group.feverCount, 0) !== day.totalFever)
+    ) {
+      errors.push(`${label} do not add up to the day's totals`)
+    }
+  })
+}
+
+// Each entry is rebuilt from the known fields, so nothing else the client
+// sends (patient ids above all) reaches storage; the weekday and ratio are
+// derived here and groups get the scheme's labels.
+const buildManualDaily = (daily, schemeId) => {
+  const { groups } = getAgeGroupScheme(schemeId)
+  return daily
+    .map((day) => ({
+      date: day.date,
+      weekday: getWeekdayLabel(day.date),
+      totalVisit: day.totalVisit,
+      totalFever: day.totalFever,
+      overallRatio: calculateRatio(day.totalFever, day.totalVisit),
+      groups: day.groups.map((group) => ({
+        id: group.id,
+        label: groups.find((item) => item.id === group.id).label,
+        totalCount: group.totalCount,
+        feverCount: group.feverCount,
+      })),
+      ...(day.uniqueVisit === undefined ? {} : { uniqueVisit: day.uniqueVisit }),
+      ...(day.uniqueFever === undefined ? {} : { uniqueFever: day.uniqueFever }),
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Validates a week aggregated in upload mode. Totals and groups are recomputed
+// from the age histogram so the stored row cannot disagree with it.
+const buildManualReport = (payload) => {
+  const errors = []
+  if (!payload || typeof payload !== 'object') {
+    return { errors: ['Request body must be a JSON object'] }
+  }
+
+  const { weekStart, weekEnd, ageHistogram } = payload
+  const isMonday = Boolean(parseDateLabel(weekStart)) && getWeekdayLabel(weekStart) === '월'
+  if (!isMonday) {
+    errors.push('weekStart must be a Monday in YYYY-MM-DD format')
+  } else if (weekEnd !== addDays(weekStart, 5)) {
+    errors.push('weekEnd must be the Saturday of the same week')
+  }
+
+  const schemeId = payload.schemeId || DEFAULT_SCHEME_ID
+  if (!AGE_GROUP_SCHEMES.some((scheme) => scheme.id === schemeId)) {
+    errors.push(`Unknown schemeId "${schemeId}"`)
+  }
+
+  validateHistogram(ageHistogram?.visit, 'ageHistogram.visit', errors)
+  validateHistogram(ageHistogram?.fever, 'ageHistogram.fever', errors)
+  const hasUnique = payload.unique !== undefined && payload.unique !== null
+  if (hasUnique) {
+    validateHistogram(payload.unique.ageHistogram?.visit, 'unique.ageHistogram.visit', errors)
+    validateHistogram(payload.unique.ageHistogram?.fever, 'unique.ageHistogram.fever', errors)
+  }
+  const dimensions = payload.dimensions ?? []
+  validateDimensions(dimensions, errors)
+
+  const weekDates = Array.from({ length: 6 }, (_, index) => addDays(weekStart, index))
+  const missingDays = payload.missingDays ?? []
+  if (
+    isMonday &&
+    (!Array.isArray(missingDays) || missingDays.some((date) => !weekDates.includes(date)))
+  ) {
+    errors.push('missingDays must list dates within the week')
+  }
+  const daily = payload.daily ?? []
+  if (
+    isMonday &&
+    (!Array.isArray(daily) ||
+      daily.some(
+        (day) =>
+          !weekDates.includes(day?.date) ||
+          !isCount(day.totalVisit) ||
+          !isCount(day.totalFever) ||
+          !isOptionalCount(day.uniqueVisit) ||
+          !isOptionalCount(day.uniqueFever) ||
+          !Array.isArray(day.groups),
+      ))
+  ) {
+    errors.push('daily must list per-day totals for dates within the week')
+  } else if (isMonday && new Set(daily.map((day) => day.date)).size !== daily.length) {
+    errors.push('daily must list each date once')
+  }
+  if (!errors.length) validateDailyGroups(daily, schemeId, errors)
+  if (errors.length) return { errors }
+
+  const summary = regroupAgeHistogram(ageHistogram, schemeId)
+  const dailyVisit = daily.reduce((sum, day) => sum + day.totalVisit, 0)
+  const dailyFever = daily.reduce((sum, day) => sum + day.totalFever, 0)
+  if (daily.length && (dailyVisit !== summary.totalVisit || dailyFever !== summary.totalFever)) {
+    return { errors: ['daily totals do not add up to the age histogram'] }
+  }
+  if (!summary.totalVisit) {
+    return { errors: ['ageHistogram.visit is empty'] }
+  }
+  const unique = hasUnique ? buildUniqueSummary(payload.unique.ageHistogram, schemeId) : null
+  if (
+    unique &&
+    (unique.totalVisit > summary.totalVisit || unique.totalFever > summary.totalFever)
+  ) {
+    return { errors: ['unique patient counts cannot exceed visit counts'] }
+  }
+  const manualDimensions = buildManualDimensions(dimensions)
+  const unbalanced = manualDimensions.find((dimension) => {
+    const visit = dimension.categories.reduce((sum, category) => sum + category.totalVisit, 0)
+    const fever = dimension.categories.reduce((sum, category) => sum + category.totalFever, 0)
+    return visit !== summary.totalVisit || fever !== summary.totalFever
+  })
+  if (unbalanced) {
+    return { errors: [`dimension "${unbalanced.id}" categories do not add up to the totals`] }
+  }
+
+  return {
+    errors: [],
+    report: {
+      weekStart,
+      weekEnd,
+      totalVisit: summary.totalVisit,
+      totalFever: summary.totalFever,
+      overallRatio: summary.overallRatio,
+      groups: summary.groups,
+      missingDays: [...missingDays].sort(),
+      createdAt: formatKstTimestamp(new Date()),
+      schemeId: summary.schemeId,
+      ageHistogram: { visit: ageHistogram.visit, fever: ageHistogram.fever },
+      daily: buildManualDaily(daily, schemeId),
+      unique,
+      dimensions: manualDimensions,
+      source: MANUAL_SOURCE,
+    },
+  }
+}
+
+const MAX_LIMIT = 1000
+const CSV_HEADERS = [
+  'week_start',
+  'week_end',
+  'scheme_id',
+  'source',
+  'group_id',
+  'parent_group_id',
+  'group_label',
+  'total_count',
+  'fever_count',
+  'ratio',
+  'unique_total_count',
+  'unique_fever_count',
+  'threshold',
+  'exceeded',
+]
+
+const getQueryValue = (query, key) => {
+  const value = query?.[key]
+  return Array.isArray(value) ? value[0] : value
+}
+
+const parseListQuery = (query) => {
+  const errors = []
+  const from = getQueryValue(query, 'from') || ''
+  const to = getQueryValue(query, 'to') || ''
+  const limitValue = getQueryValue(query, 'limit')
+  const format = getQueryValue(query, 'format') || 'json'
+
+  if (from && !parseDateLabel(from)) errors.push('from must be a date in YYYY-MM-DD format')
+  if (to && !parseDateLabel(to)) errors.push('to must be a date in YYYY-MM-DD format')
+  if (from && to && !errors.length && from > to) errors.push('from must not be after to')
+
+  let limit = null
+  if (limitValue !== undefined && limitValue !== '') {
+    limit = Number(limitValue)
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`)
+    }
+  }
+  if (format !== 'json' && format !== 'csv') errors.push('format must be json or csv')
+
+  if (errors.length) throw new RequestError(400, 'Invalid query', errors)
+  return { from, to, limit, format }
+}
+
+const loadReports = async (storage) => {
+  const reports = (await storage.listWeeks()).filter((report) => report.weekStart)
+  return reports.sort((a, b) => String(b.weekStart).localeCompare(String(a.weekStart)))
+}
+
+// Thresholds are evaluated against the full history before any filtering so a
+// narrow `from`/`to` range does not change them.
+const withThresholds = (reports, history, thresholdConfig) =>
+  reports.map((report) => ({
+    ...report,
+    thresholds: evaluateThresholds(report, history, thresholdConfig),
+  }))
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const roundRatio = (value) => Math.round(value * 100) / 100
+
+// One row per week and series (overall, groups, child groups) so the export
+// loads as a tidy table. The unique-patient columns are empty for weeks counted
+// without patient ids.
+export const buildReportsCsv = (weeks) => {
+  const rows = [CSV_HEADERS]
+  weeks.forEach((week) => {
+    const uniqueGroups = week.unique?.groups || []
+    const pushRow = (series, parentId, threshold, uniqueSeries) => {
+      rows.push([
+        week.weekStart,
+        week.weekEnd,
+        week.schemeId,
+        week.source,
+        series.id,
+        parentId,
+        series.label,
+        series.totalCount,
+        series.feverCount,
+        roundRatio(calculateRatio(series.feverCount, series.totalCount)),
+        uniqueSeries ? uniqueSeries.totalCount : '',
+        uniqueSeries ? uniqueSeries.feverCount : '',
+        threshold ? roundRatio(threshold.threshold) : '',
+        threshold ? threshold.exceeded : '',
+      ])
+    }
+    pushRow(
+      {
+        id: OVERALL_SERIES_ID,
+        label: '전체',
+        totalCount: week.totalVisit,
+        feverCount: week.totalFever,
+      },
+      '',
+      week.thresholds?.overall,
+      week.unique
+        ? { totalCount: week.unique.totalVisit, feverCount: week.unique.totalFever }
+        : null,
+    )
+    week.groups.forEach((group) => {
+      const children = group.children || []
+      const uniqueGroup = uniqueGroups.find((item) => item.id === group.id)
+      pushRow(group, '', week.thresholds?.groups?.[group.id], uniqueGroup)
+      children.forEach((child) =>
+        pushRow(
+          child,
+          group.id,
+          null,
+          uniqueGroup?.children?.find((item) => item.id === child.id),
+        ),
+      )
+    })
+  })
+  return `${rows.map((row) => row.map(escapeCsvCell).join(',')).join('\n')}\n`
+}
+
+const sendCsv = (request, response, weeks, fileName) => {
+  response.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
+  sendWithEtag(request, response, buildReportsCsv(weeks), 'text/csv; charset=utf-8')
+}
+
+const sendJson = (request, response, payload) => {
+  sendWithEtag(request, response, JSON.stringify(payload), 'application/json; charset=utf-8')
+}
+
+const matchesEtag = (header, etag) => {
+  if (!header) return false
+  if (header.trim() === '*') return true
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .includes(etag)
+}
+
+// Responses are revalidated on every request (`no-cache`) and answered with
+// 304 when the body hash still matches the client's If-None-Match.
+const sendWithEtag = (request, response, body, contentType) => {
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`
+  response.setHeader('ETag', etag)
+  response.setHeader('Cache-Control', 'private, no-cache')
+  if (matchesEtag(request.headers?.['if-none-match'], etag)) {
+    response.status(304).end()
+    return
+  }
+  response.setHeader('Content-Type', contentType)
+  response.status(200).send(body)
+}
+
+const handleList = async ({ request, response, storage }) => {
+  const { from, to, limit, format } = parseListQuery(request.query)
+  const reports = await loadReports(storage)
+  const thresholdConfig = getThresholdConfig()
+
+  let selected = reports.filter(
+    (report) => (!from || report.weekStart >= from) && (!to || report.weekStart <= to),
+  )
+  if (limit) selected = selected.slice(0, limit)
+  const weeks = withThresholds(selected, reports, thresholdConfig)
+
+  if (format === 'csv') {
+    sendCsv(request, response, weeks, 'weekly_reports.csv')
+    return
+  }
+  sendJson(request, response, { weeks, thresholdConfig })
+}
+
+const handleSingle = async ({ request, response, storage }, weekStart) => {
+  if (!parseDateLabel(weekStart)) {
+    throw new RequestError(400, 'Invalid week', ['weekStart must be a date in YYYY-MM-DD format'])
+  }
+  const { format } = parseListQuery({ format: getQueryValue(request.query, 'format') })
+  const reports = await loadReports(storage)
+  const report = reports.find((item) => item.weekStart === weekStart)
+  if (!report) throw new RequestError(404, `Week ${weekStart} not found`)
+
+  const thresholdConfig = getThresholdConfig()
+  const [week] = withThresholds([report], reports, thresholdConfig)
+
+  if (format === 'csv') {
+    sendCsv(request, response, [week], `weekly_report_${weekStart}.csv`)
+    return
+  }
+  sendJson(request, response, { week, thresholdConfig })
+}
+
+// Saves a week aggregated in upload mode. An existing week is only replaced
+// when the body has `overwrite: true`; otherwise the response is 409.
+const handlePost = async ({ request, response, storage }) => {
+  const payload = readRequestBody(request)
+  const { errors, report } = buildManualReport(payload)
+  if (errors.length) throw new RequestError(400, 'Invalid report', errors)
+
+  const existing = await storage.getWeek(report.weekStart)
+  if (existing && payload.overwrite !== true) {
+    response.status(409).json({
+      error: `Week ${report.weekStart} already exists`,
+      existing: { weekStart: existing.weekStart, source: existing.source },
+    })
+    return
+  }
+
+  const history = (await loadReports(storage)).filter((item) => item.weekStart !== report.weekStart)
+  const quality = checkDataQuality({
+    daily: report.daily,
+    missingDays: report.missingDays,
+    history,
+  })
+  const { replaced, week: stored } = await storage.upsertWeek({ ...report, quality })
+  const [week] = withThresholds([stored], history, getThresholdConfig())
+
+  response.setHeader('Cache-Control', 'no-store')
+  response.status(replaced ? 200 : 201).json({ week, replaced })
+}
+
+// Shared by `/api/reports` and `/api/reports/:weekStart`; `weekStart` is set
+// only for the single-week route, which is read-only. Every request needs a
+// session (see auth.js), and saving needs the editor role.
+export const handleReportsRequest = async (request, response, { weekStart = null } = {}) => {
+  try {
+    const allowedMethods = weekStart === null ? ['GET', 'POST'] : ['GET']
+    if (!allowedMethods.includes(request.method)) {
+      response.setHeader('Allow', allowedMethods.join(', '))
+      throw new RequestError(405, `Method ${request.method} not allowed`)
+    }
+    const session = readSession(request)
+    if (!session) {
+      response.setHeader('WWW-Authenticate', 'Bearer')
+      throw new RequestError(401, 'Sign-in required')
+    }
+    if (request.method === 'POST' && !hasRole(session, 'editor')) {
+      throw new RequestError(403, 'Saving weeks requires the editor role')
+    }
+
+    const context = { request, response, storage: await createReportStorage() }
+    if (request.method === 'POST') {
+      await handlePost(context)
+    } else if (weekStart !== null) {
+      await handleSingle(context, weekStart)
+    } else {
+      await handleList(context)
+    }
+  } catch (error) {
+    sendRequestError(response, error)
+  }
+}
@@ -0,0 +1,51 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { applyRevision } from '../../../src/lib/revisions.js'
+
+const DEFAULT_FILE_PATH = 'data/weekly_reports.json'
+
+// Writes from concurrent requests in the same process are applied one at a
+// time so an upsert never reads a file another upsert is replacing.
+let writeQueue = Promise.resolve()
+
+// Reports in a local JSON file (`{ "weeks": [...] }`) for development, demos
+// and self-hosting without Google Workspace. Needs a writable filesystem, so
+// it does not suit serverless hosts.
+export const createFileStorage = async () => {
+  const filePath = path.resolve(process.cwd(), process.env.REPORTS_FILE_PATH || DEFAULT_FILE_PATH)
+
+  const listWeeks = async () => {
+    try {
+      const data = JSON.parse(await readFile(filePath, 'utf8'))
+      return Array.isArray(data.weeks) ? data.weeks : []
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw new Error(`Could not read ${filePath}: ${error.message}`)
+    }
+  }
+
+  const getWeek = async (weekStart) => {
+    const weeks = await listWeeks()
+    return weeks.find((week) => week.weekStart === weekStart) || null
+  }
+
+  const upsertWeek = (report) => {
+    const result = writeQueue.then(async () => {
+      const weeks = await listWeeks()
+      const previous = weeks.find((week) => week.weekStart === report.weekStart)
+      const stored = applyRevision(previous, report)
+      const nextWeeks = [...weeks.filter((week) => week.weekStart !== report.weekStart), stored]
+      nextWeeks.sort((a, b) => String(a.weekStart).localeCompare(String(b.weekStart)))
+
+      await mkdir(path.dirname(filePath), { recursive: true })
+      const tempPath = `${filePath}.tmp`
+      await writeFile(tempPath, `${JSON.stringify({ weeks: nextWeeks }, null, 2)}\n`, 'utf8')
+      await rename(tempPath, filePath)
+      return { replaced: Boolean(previous), week: stored }
+    })
+    writeQueue = result.catch(() => {})
+    return result
+  }
+
+  return { listWeeks, getWeek, upsertWeek }
+}
@@ -0,0 +1,22 @@
+import { createFileStorage } from './fileStorage.js'
+import { createSheetsStorage } from './sheetsStorage.js'
+
+// Every backend resolves to `{ listWeeks, getWeek, upsertWeek }`:
+// - `listWeeks()`: all stored weeks, in any order
+// - `getWeek(weekStart)`: one week or `null`
+// - `upsertWeek(report)`: insert or replace by `weekStart`, recording a revision
+//   (see `applyRevision`) when it replaces a week; resolves to `{ replaced, week }`
+const STORAGE_FACTORIES = {
+  sheets: createSheetsStorage,
+  file: createFileStorage,
+}
+
+export const createReportStorage = () => {
+  const kind = process.env.REPORTS_STORAGE || 'sheets'
+  const factory = STORAGE_FACTORIES[kind]
+  if (!factory) {
+    const known = Object.keys(STORAGE_FACTORIES).join(', ')
+    throw new Error(`Unknown REPORTS_STORAGE "${kind}" (expected one of: ${known})`)
+  }
+  return factory()
+}
@@ -0,0 +1,377 @@
+import crypto from 'node:crypto'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { DEFAULT_SCHEME_ID } from '../../../src/lib/ageGroupSchemes.js'
+import { calculateRatio } from '../../../src/lib/aggregation.js'
+import { applyRevision } from '../../../src/lib/revisions.js'
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token'
+const SHEETS_READ_SCOPE = 'https://www.googleapis.com/auth/spreadsheets.readonly'
+const SHEETS_WRITE_SCOPE = 'https://www.googleapis.com/auth/spreadsheets'
+const DEFAULT_SHEET_NAME = 'weekly_reports'
+const REPORT_ID_REGEX = /reportSpreadsheetId:\s*['"]([^'"]+)['"]/
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30)
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000
+const DEFAULT_CACHE_TTL_SECONDS = 60
+
+// Same column order as CONFIG.headers in scripts/apps-script/weekly-report.gs.
+const REPORT_HEADERS = [
+  'week_start',
+  'week_end',
+  'total_visit',
+  'total_fever',
+  'overall_ratio',
+  'groups_json',
+  'missing_days',
+  'created_at',
+  'scheme_id',
+  'age_histogram_json',
+  'daily_json',
+  'source',
+  'revised_at',
+  'revisions_json',
+  'quality_json',
+  'unique_json',
+  'dimensions_json',
+]
+const DEFAULT_SOURCE = 'drive'
+
+const base64UrlEncode = (input) => {
+  return Buffer.from(input)
+    .toString('base64')
+    .replace(/=/g, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+}
+
+const buildJwt = ({ clientEmail, privateKey, scope }) => {
+  const now = Math.floor(Date.now() / 1000)
+  const header = base64UrlEncode(JSON.stringify({ alg: 'RS256', typ: 'JWT' }))
+  const payload = base64UrlEncode(
+    JSON.stringify({
+      iss: clientEmail,
+      scope,
+      aud: TOKEN_URL,
+      iat: now,
+      exp: now + 60 * 60,
+    }),
+  )
+
+  const data = `${header}.${payload}`
+  const signer = crypto.createSign('RSA-SHA256')
+  signer.update(data)
+  signer.end()
+  const signature = base64UrlEncode(signer.sign(privateKey))
+  return `${data}.${signature}`
+}
+
+const fetchAccessToken = async ({ clientEmail, privateKey, scope }) => {
+  const jwt = buildJwt({ clientEmail, privateKey, scope })
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: jwt,
+    }),
+  })
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new Error(`Token request failed: ${response.status} ${errorText}`)
+  }
+
+  const data = await response.json()
+  return { accessToken: data.access_token, expiresIn: Number(data.expires_in) || 3600 }
+}
+
+// Access tokens and the parsed sheet are kept at module level, so they are
+// reused for as long as the function instance stays warm.
+const tokenCache = new Map()
+let reportsCache = null
+
+const getAccessToken = async ({ clientEmail, privateKey, scope = SHEETS_READ_SCOPE }) => {
+  const cacheKey = `${clientEmail}|${scope}`
+  const cached = tokenCache.get(cacheKey)
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached.accessToken
+  }
+  const { accessToken, expiresIn } = await fetchAccessToken({ clientEmail, privateKey, scope })
+  tokenCache.set(cacheKey, { accessToken, expiresAt: Date.now() + expiresIn * 1000 })
+  return accessToken
+}
+
+const getCacheTtlMs = () => {
+  const seconds = Number(process.env.REPORTS_CACHE_TTL_SECONDS)
+  const ttl = Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_CACHE_TTL_SECONDS
+  return ttl * 1000
+}
+
+const fetchSheetValues = async ({ accessToken, sheetId, sheetName }) => {
+  const encodedSheetName = encodeURIComponent(sheetName)
+  const url = `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}/values/${encodedSheetName}?valueRenderOption=UNFORMATTED_VALUE`
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  })
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new Error(`Sheets API failed: ${response.status} ${errorText}`)
+  }
+
+  const data = await response.json()
+  return data.values || []
+}
+
+const writeSheetValues = async ({ accessToken, sheetId, range, values, append = false }) => {
+  const encodedRange = encodeURIComponent(range)
+  const url = append
+    ? `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}/values/${encodedRange}:append?valueInputOption=USER_ENTERED&insertDataOption=INSERT_ROWS`
+    : `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}/values/${encodedRange}?valueInputOption=USER_ENTERED`
+  const response = await fetch(url, {
+    method: append ? 'POST' : 'PUT',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ values }),
+  })
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new Error(`Sheets API failed: ${response.status} ${errorText}`)
+  }
+}
+
+const readSheetIdFromAppsScript = async () => {
+  try {
+    const filePath = path.resolve(process.cwd(), 'scripts/apps-script/weekly-report.gs')
+    const contents = await readFile(filePath, 'utf8')
+    const match = contents.match(REPORT_ID_REGEX)
+    return match?.[1] || null
+  } catch (error) {
+    return null
+  }
+}
+
+const getSheetId = async () => {
+  if (process.env.GOOGLE_SHEETS_ID) return process.env.GOOGLE_SHEETS_ID
+  return readSheetIdFromAppsScript()
+}
+
+const parseMissingDays = (value) => {
+  if (!value) return []
+  if (Array.isArray(value)) return value
+  const text = String(value).trim()
+  if (!text) return []
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text)
+      return Array.isArray(parsed) ? parsed : []
+    } catch (error) {
+      return []
+    }
+  }
+  return text.split(',').map((item) => item.trim()).filter(Boolean)
+}
+
+const parseJsonCell = (value, fallback) => {
+  if (typeof value === 'string' && value.trim()) {
+    try {
+      return JSON.parse(value)
+    } catch (error) {
+      return fallback
+    }
+  }
+  if (value && typeof value === 'object') return value
+  return fallback
+}
+
+const formatDateParts = (date) => {
+  const year = date.getUTCFullYear()
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0')
+  const day = String(date.getUTCDate()).padStart(2, '0')
+  return { year, month, day }
+}
+
+const serialToKstDate = (value) => {
+  const ms = EXCEL_EPOCH_MS + value * MS_PER_DAY + KST_OFFSET_MS
+  return new Date(ms)
+}
+
+const normalizeDateCell = (value, withTime = false) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    const date = serialToKstDate(value)
+    const { year, month, day } = formatDateParts(date)
+    if (!withTime) {
+      return `${year}-${month}-${day}`
+    }
+    const hours = String(date.getUTCHours()).padStart(2, '0')
+    const minutes = String(date.getUTCMinutes()).padStart(2, '0')
+    return `${year}-${month}-${day} ${hours}:${minutes}`
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim()
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+      const parsed = Number(trimmed)
+      if (Number.isFinite(parsed)) {
+        return normalizeDateCell(parsed, withTime)
+      }
+    }
+    return trimmed
+  }
+  return ''
+}
+
+const parseReports = (values) => {
+  if (!values.length) return []
+  const headerRow = values[0]
+  const headerIndex = headerRow.reduce((acc, header, index) => {
+    acc[String(header).trim()] = index
+    return acc
+  }, {})
+
+  const getCell = (row, key, fallbackIndex) => {
+    const index = headerIndex[key]
+    if (index !== undefined) return row[index]
+    if (fallbackIndex !== undefined) return row[fallbackIndex]
+    return ''
+  }
+
+  return values.slice(1).map((row) => {
+    const groups = parseJsonCell(getCell(row, 'groups_json', 5), [])
+
+    const totalVisit = Number(getCell(row, 'total_visit', 2)) || 0
+    const totalFever = Number(getCell(row, 'total_fever', 3)) || 0
+    const overallRatioValue = getCell(row, 'overall_ratio', 4)
+    const overallRatio = Number.isFinite(Number(overallRatioValue))
+      ? Number(overallRatioValue)
+      : calculateRatio(totalFever, totalVisit)
+
+    return {
+      weekStart: normalizeDateCell(getCell(row, 'week_start', 0)),
+      weekEnd: normalizeDateCell(getCell(row, 'week_end', 1)),
+      totalVisit,
+      totalFever,
+      overallRatio,
+      groups: Array.isArray(groups) ? groups : [],
+      missingDays: parseMissingDays(getCell(row, 'missing_days', 6)),
+      createdAt: normalizeDateCell(getCell(row, 'created_at', 7), true),
+      schemeId: String(getCell(row, 'scheme_id') || '').trim() || DEFAULT_SCHEME_ID,
+      ageHistogram: parseJsonCell(getCell(row, 'age_histogram_json'), null),
+      daily: parseJsonCell(getCell(row, 'daily_json'), []),
+      source: String(getCell(row, 'source') || '').trim() || DEFAULT_SOURCE,
+      revisedAt: normalizeDateCell(getCell(row, 'revised_at'), true),
+      revisions: parseJsonCell(getCell(row, 'revisions_json'), []),
+      quality: parseJsonCell(getCell(row, 'quality_json'), []),
+      unique: parseJsonCell(getCell(row, 'unique_json'), null),
+      dimensions: parseJsonCell(getCell(row, 'dimensions_json'), []),
+    }
+  })
+}
+
+const toRowValues = (report) => {
+  const cells = {
+    week_start: report.weekStart,
+    week_end: report.weekEnd,
+    total_visit: report.totalVisit,
+    total_fever: report.totalFever,
+    overall_ratio: report.overallRatio,
+    groups_json: JSON.stringify(report.groups),
+    missing_days: JSON.stringify(report.missingDays),
+    created_at: report.createdAt,
+    scheme_id: report.schemeId,
+    age_histogram_json: JSON.stringify(report.ageHistogram),
+    daily_json: JSON.stringify(report.daily),
+    source: report.source,
+    revised_at: report.revisedAt,
+    revisions_json: JSON.stringify(report.revisions),
+    quality_json: JSON.stringify(report.quality || []),
+    unique_json: report.unique ? JSON.stringify(report.unique) : '',
+    dimensions_json: JSON.stringify(report.dimensions || []),
+  }
+  return REPORT_HEADERS.map((header) => cells[header])
+}
+
+// Mirrors upsertReportRow in the Apps Script: the header row is rewritten
+// when it differs, and the row for the same week_start is replaced in place.
+const upsertReport = async ({ accessToken, sheetId, sheetName, values, report }) => {
+  const headerRow = (values[0] || []).map((header) => String(header).trim())
+  if (headerRow.join('|') !== REPORT_HEADERS.join('|')) {
+    await writeSheetValues({
+      accessToken,
+      sheetId,
+      range: `${sheetName}!A1`,
+      values: [REPORT_HEADERS],
+    })
+  }
+
+  const weekStartIndex = Math.max(headerRow.indexOf('week_start'), 0)
+  const rowIndex = values.findIndex(
+    (row, index) => index > 0 && normalizeDateCell(row[weekStartIndex]) === report.weekStart,
+  )
+
+  if (rowIndex === -1) {
+    await writeSheetValues({
+      accessToken,
+      sheetId,
+      range: `${sheetName}!A1`,
+      values: [toRowValues(report)],
+      append: true,
+    })
+  } else {
+    await writeSheetValues({
+      accessToken,
+      sheetId,
+      range: `${sheetName}!A${rowIndex + 1}`,
+      values: [toRowValues(report)],
+    })
+  }
+  return rowIndex !== -1
+}
+
+// Reports in the `weekly_reports` Google Sheet written by the Apps Script,
+// read and written with a service account.
+export const createSheetsStorage = async () => {
+  const clientEmail = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL
+  const privateKey = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+  const sheetId = await getSheetId()
+  const sheetName = process.env.GOOGLE_SHEETS_TAB || DEFAULT_SHEET_NAME
+
+  if (!clientEmail || !privateKey || !sheetId) {
+    throw new Error('Missing GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_PRIVATE_KEY, or GOOGLE_SHEETS_ID')
+  }
+
+  const credentials = { clientEmail, privateKey }
+  const cacheKey = `${sheetId}|${sheetName}`
+
+  const listWeeks = async () => {
+    if (reportsCache?.key === cacheKey && reportsCache.expiresAt > Date.now()) {
+      return reportsCache.weeks
+    }
+    const accessToken = await getAccessToken(credentials)
+    const values = await fetchSheetValues({ accessToken, sheetId, sheetName })
+    const weeks = parseReports(values)
+    reportsCache = { key: cacheKey, weeks, expiresAt: Date.now() + getCacheTtlMs() }
+    return weeks
+  }
+
+  const getWeek = async (weekStart) => {
+    const weeks = await listWeeks()
+    return weeks.find((week) => week.weekStart === weekStart) || null
+  }
+
+  const upsertWeek = async (report) => {
+    const accessToken = await getAccessToken({ ...credentials, scope: SHEETS_WRITE_SCOPE })
+    const values = await fetchSheetValues({ accessToken, sheetId, sheetName })
+    const previous = parseReports(values).find((week) => week.weekStart === report.weekStart)
+    const week = applyRevision(previous, report)
+    const replaced = await upsertReport({ accessToken, sheetId, sheetName, values, report: week })
+    reportsCache = null
+    return { replaced, week }
+  }
+
+  return { listWeeks, getWeek, upsertWeek }
+}
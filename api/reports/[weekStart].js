@@ -0,0 +1,8 @@
+import { handleReportsRequest } from '../_lib/reports.js'
+
+export default function handler(request, response) {
+  const weekStart = request.query?.weekStart
+  return handleReportsRequest(request, response, {
+    weekStart: String(Array.isArray(weekStart) ? weekStart[0] : weekStart || ''),
+  })
+}
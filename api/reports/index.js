@@ -0,0 +1,5 @@
+import { handleReportsRequest } from '../_lib/reports.js'
+
+export default function handler(request, response) {
+  return handleReportsRequest(request, response)
+}
@@ -0,0 +1,5 @@
+import { handleSessionRequest } from '../_lib/auth.js'
+
+export default function handler(request, response) {
+  return handleSessionRequest(request, response)
+}
@@ -0,0 +1,284 @@
+import { readdir, readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import * as XLSX from 'xlsx'
+import { utils as codepages } from 'xlsx/dist/cpexcel.full.mjs'
+import { buildReportsCsv } from '../api/_lib/reports.js'
+import { createReportStorage } from '../api/_lib/storage/index.js'
+import { AGE_GROUP_SCHEMES, DEFAULT_SCHEME_ID } from '../src/lib/ageGroupSchemes.js'
+import { buildWeeklyReport } from '../src/lib/aggregation.js'
+import {
+  columnLabel,
+  detectAgeSource,
+  extractColumnAges,
+  extractColumnDimensions,
+  extractColumnPatients,
+} from '../src/lib/columnDetection.js'
+import { checkDataQuality, describeQualityIssue } from '../src/lib/dataQuality.js'
+import { addDays, getWeekStart, parseDateLabel } from '../src/lib/dates.js'
+import { DIMENSIONS, getDimension } from '../src/lib/dimensions.js'
+import { formatTimestamp } from '../src/lib/format.js'
+import {
+  SPREADSHEET_EXTENSIONS,
+  decodeTextBytes,
+  isTextSpreadsheet,
+  readTextSheets,
+} from '../src/lib/spreadsheetFormats.js'
+
+// Aggregates `YYYY-MM-DD_총환자수.xlsx` / `YYYY-MM-DD_발열환자수.xlsx` files
+// (or .xls, .ods, .csv, .tsv) in a local folder into the same weekly rows the
+// Apps Script writes.
+
+const FILE_NAME_REGEX = new RegExp(
+  `^(\\d{4}-\\d{2}-\\d{2})_(총환자수|발열환자수)\\.(${SPREADSHEET_EXTENSIONS.join('|')})$`,
+  'i',
+)
+const FILE_TYPES = { 총환자수: 'visit', 발열환자수: 'fever' }
+const OUTPUTS = ['storage', 'json', 'csv']
+
+const USAGE = `Usage: npm run aggregate -- <folder> [options]
+
+Options:
+  --week YYYY-MM-DD  aggregate the Mon-Sat week containing this date (default: last week)
+  --all              aggregate every week that has at least one file
+  --unique           also count unique patients by the 차트번호/환자번호 column
+  --dimension ID     cross-tabulate age groups by ${DIMENSIONS.map((dimension) => dimension.id).join(', ')} (repeatable)
+  --scheme ID        age-group scheme: ${AGE_GROUP_SCHEMES.map((scheme) => scheme.id).join(', ')} (default: ${DEFAULT_SCHEME_ID})
+  --output TARGET    ${OUTPUTS.join(', ')} (default: storage, see REPORTS_STORAGE)`
+
+class UsageError extends Error {}
+
+const toDateLabel = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+// `{ [date]: { visit, fever } }` with file paths. Names are NFC-normalized
+// because macOS shares report Korean file names decomposed.
+const indexFolder = async (folder) => {
+  const entries = await readdir(folder, { withFileTypes: true })
+  return entries.reduce((acc, entry) => {
+    if (!entry.isFile()) return acc
+    const match = entry.name.normalize('NFC').match(FILE_NAME_REGEX)
+    if (!match || !parseDateLabel(match[1])) return acc
+    acc[match[1]] = { ...acc[match[1]], [FILE_TYPES[match[2]]]: path.join(folder, entry.name) }
+    return acc
+  }, {})
+}
+
+const readWorkbookSheets = (workbook) => {
+  return workbook.SheetNames.map((sheetName) => ({
+    name: sheetName,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+      header: 1,
+      raw: true,
+      defval: null,
+    }),
+  }))
+}
+
+const extractAgesFromFile = async (filePath, dateLabel) => {
+  const fileName = path.basename(filePath)
+  const content = await readFile(filePath)
+  const sheets = isTextSpreadsheet(fileName)
+    ? readTextSheets(
+        decodeTextBytes(content, (bytes) => codepages.decode(949, bytes)),
+        fileName,
+      )
+    : readWorkbookSheets(XLSX.read(content, { type: 'buffer', cellDates: true }))
+  const source = detectAgeSource(sheets, dateLabel)
+  if (!source) {
+    console.error(`${fileName}: no age column found`)
+    return { ages: [], droppedCount: 0, patients: null, records: [] }
+  }
+  const sheet = sheets.find((item) => item.name === source.sheetName)
+  const { ages, unparsed } = extractColumnAges(sheet.rows, source, dateLabel)
+  const patients =
+    source.idColumn === -1 ? null : extractColumnPatients(sheet.rows, source, dateLabel)
+
+  const headerNote = source.header ? `, "${source.header}"` : ''
+  console.error(
+    `${fileName}: ${source.sheetName} / ${columnLabel(source.column)} ` +
+      `(${source.method}${headerNote}), ${ages.length} ages`,
+  )
+  if (unparsed.length) {
+    console.error(
+      `${fileName}: ${unparsed.length} age cells could not be parsed (${unparsed
+        .slice(0, 5)
+        .map((cell) => `row ${cell.row} "${cell.value}"`)
+        .join(', ')})`,
+    )
+  }
+  return {
+    ages,
+    droppedCount: unparsed.filter((cell) => cell.reason === 'range').length,
+    patients,
+    records: extractColumnDimensions(sheet.rows, source, dateLabel),
+  }
+}
+
+// `history` holds the stored weeks and those aggregated before this one, for
+// the weekday baseline of the data-quality checks. With `unique`, patient ids are read
+// alongside the ages and dropped once the week is counted.
+const aggregateWeek = async (files, weekStart, options, history) => {
+  const { scheme: schemeId, unique, dimension: dimensionIds } = options
+  const missingDays = new Set()
+  const days = []
+  const fileDates = { visit: [], fever: [] }
+  const droppedAges = []
+
+  for (let offset = 0; offset <= 5; offset += 1) {
+    const dateLabel = addDays(weekStart, offset)
+    const dayFiles = files[dateLabel] || {}
+    const day = { date: dateLabel, visitAges: [], feverAges: [] }
+    if (unique) {
+      day.visitPatients = []
+      day.feverPatients = []
+    }
+    if (dimensionIds.length) {
+      day.visitRecords = []
+      day.feverRecords = []
+    }
+
+    for (const kind of ['visit', 'fever']) {
+      if (!dayFiles[kind]) {
+        missingDays.add(dateLabel)
+        continue
+      }
+      const { ages, droppedCount, patients, records } = await extractAgesFromFile(
+        dayFiles[kind],
+        dateLabel,
+      )
+      day[`${kind}Ages`] = ages
+      if (dimensionIds.length) day[`${kind}Records`] = records
+      if (unique) {
+        if (!patients) {
+          console.error(`${dateLabel} ${kind}: no patient id column, unique patients not counted`)
+        }
+        day[`${kind}Patients`] = patients
+      }
+      fileDates[kind].push(dateLabel)
+      droppedAges.push({ date: dateLabel, kind, count: droppedCount })
+    }
+    days.push(day)
+  }
+
+  const report = buildWeeklyReport({
+    weekStart,
+    weekEnd: addDays(weekStart, 5),
+    days,
+    missingDays: Array.from(missingDays),
+    schemeId,
+    createdAt: formatTimestamp(new Date()),
+    source: 'local',
+    dimensionIds,
+  })
+  const quality = checkDataQuality({
+    daily: report.daily,
+    missingDays: report.missingDays,
+    fileDates,
+    droppedAges,
+    history,
+  })
+  quality.forEach((issue) => console.error(`${weekStart}: ${describeQualityIssue(issue)}`))
+  return { ...report, quality }
+}
+
+const parseOptions = () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      week: { type: 'string' },
+      all: { type: 'boolean', default: false },
+      unique: { type: 'boolean', default: false },
+      dimension: { type: 'string', multiple: true, default: [] },
+      scheme: { type: 'string', default: DEFAULT_SCHEME_ID },
+      output: { type: 'string', default: 'storage' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  })
+
+  if (values.help) return { help: true }
+  if (positionals.length !== 1) throw new UsageError('Pass exactly one folder.')
+  if (values.week && values.all) throw new UsageError('Use either --week or --all.')
+  if (values.week && !parseDateLabel(values.week)) {
+    throw new UsageError(`--week must be a date in YYYY-MM-DD format: ${values.week}`)
+  }
+  if (!AGE_GROUP_SCHEMES.some((scheme) => scheme.id === values.scheme)) {
+    throw new UsageError(`Unknown --scheme: ${values.scheme}`)
+  }
+  const unknownDimension = values.dimension.find((dimensionId) => !getDimension(dimensionId))
+  if (unknownDimension) throw new UsageError(`Unknown --dimension: ${unknownDimension}`)
+  if (!OUTPUTS.includes(values.output)) {
+    throw new UsageError(`Unknown --output: ${values.output}`)
+  }
+  return { ...values, folder: positionals[0] }
+}
+
+// The stored weeks, for the data-quality baseline. With `--output json` or
+// `csv` the storage backend is optional, so the checks fall back to the weeks
+// of this run when it cannot be read.
+const loadStoredWeeks = async (output) => {
+  try {
+    const storage = await createReportStorage()
+    return { storage, weeks: await storage.listWeeks() }
+  } catch (error) {
+    if (output === 'storage') throw error
+    console.error(`Stored weeks unavailable, quality checks use only this run: ${error.message}`)
+    return { storage: null, weeks: [] }
+  }
+}
+
+const writeReports = async (reports, output, storage) => {
+  if (output === 'json') {
+    process.stdout.write(`${JSON.stringify({ weeks: reports }, null, 2)}\n`)
+    return
+  }
+  if (output === 'csv') {
+    process.stdout.write(buildReportsCsv(reports))
+    return
+  }
+  for (const report of reports) {
+    const { replaced } = await storage.upsertWeek(report)
+    console.error(`${replaced ? 'Replaced' : 'Saved'} week ${report.weekStart}`)
+  }
+}
+
+const main = async () => {
+  const options = parseOptions()
+  if (options.help) {
+    console.log(USAGE)
+    return
+  }
+
+  const files = await indexFolder(options.folder)
+  const weekStarts = options.all
+    ? Array.from(new Set(Object.keys(files).map(getWeekStart))).sort()
+    : [getWeekStart(options.week || addDays(toDateLabel(new Date()), -7))]
+  if (!weekStarts.length) {
+    console.error(`No report files found in ${options.folder}`)
+    process.exitCode = 1
+    return
+  }
+
+  const { storage, weeks } = await loadStoredWeeks(options.output)
+  // Keyed by week so a week aggregated in this run replaces its stored row.
+  const historyByWeek = Object.fromEntries(weeks.map((week) => [week.weekStart, week]))
+  const reports = []
+  for (const weekStart of weekStarts) {
+    const report = await aggregateWeek(files, weekStart, options, Object.values(historyByWeek))
+    historyByWeek[weekStart] = report
+    reports.push(report)
+  }
+  await writeReports(reports, options.output, storage)
+}
+
+main().catch((error) => {
+  if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    console.error(`${error.message}\n\n${USAGE}`)
+  } else {
+    console.error(error)
+  }
+  process.exitCode = 1
+})
@@ -0,0 +1,1201 @@
+// Generated by scripts/build-apps-script.js. Do not edit by hand.
+// Sources: src/lib/dates.js, src/lib/ageParsing.js, src/lib/ageGroupSchemes.js, src/lib/dimensions.js, src/lib/aggregation.js, src/lib/columnDetection.js, src/lib/revisions.js, src/lib/dataQuality.js, src/lib/spreadsheetFormats.js
+
+// ---- src/lib/dates.js ----
+
+// Calendar-date helpers on `YYYY-MM-DD` labels. Dates are handled as plain
+// `{ year, month, day }` parts so results do not depend on the runtime's
+// timezone.
+
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토']
+
+const toDateParts = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null
+  }
+  return { year, month, day }
+}
+
+const parseDateLabel = (value) => {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (!match) return null
+  return toDateParts(Number(match[1]), Number(match[2]), Number(match[3]))
+}
+
+const getWeekdayLabel = (dateLabel) => {
+  const parts = parseDateLabel(dateLabel)
+  if (!parts) return ''
+  return WEEKDAY_LABELS[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()]
+}
+
+// ISO-8601 week of a `YYYY-MM-DD` label (weeks start on Monday, week 1 holds
+// the year's first Thursday).
+const getIsoWeek = (dateLabel) => {
+  const parts = parseDateLabel(dateLabel)
+  if (!parts) return null
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day))
+  const dayIndex = (date.getUTCDay() + 6) % 7
+  date.setUTCDate(date.getUTCDate() - dayIndex + 3)
+  const year = date.getUTCFullYear()
+  const firstThursday = new Date(Date.UTC(year, 0, 4))
+  firstThursday.setUTCDate(firstThursday.getUTCDate() - ((firstThursday.getUTCDay() + 6) % 7) + 3)
+  const week = 1 + Math.round((date - firstThursday) / (7 * 24 * 60 * 60 * 1000))
+  return { year, week }
+}
+
+const addDays = (dateLabel, days) => {
+  const parts = parseDateLabel(dateLabel)
+  if (!parts) return ''
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days))
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0')
+  const day = String(date.getUTCDate()).padStart(2, '0')
+  return `${date.getUTCFullYear()}-${month}-${day}`
+}
+
+// Monday of the week containing `dateLabel`.
+const getWeekStart = (dateLabel) => {
+  const parts = parseDateLabel(dateLabel)
+  if (!parts) return ''
+  const dayIndex = (new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() + 6) % 7
+  return addDays(dateLabel, -dayIndex)
+}
+
+// ---- src/lib/ageParsing.js ----
+
+// Age cell parser for EMR exports. Understands plain/fractional numbers,
+// Korean unit phrases ("3개월", "1세 4개월", "만 5세") and birth dates, which
+// are converted to 만 나이 relative to the file's date.
+
+
+const DAYS_PER_YEAR = 365.25
+const WEEKS_PER_YEAR = DAYS_PER_YEAR / 7
+
+const AGE_UNIT_PATTERN =
+  /(\d+(?:\.\d+)?)\s*(세|살|년|개월|달|주|일|years?|yrs?|y|months?|mos?|m|weeks?|w|days?|d)(?![a-z])/gi
+const AGE_FILLER_PATTERN = /[\s,()만약]/g
+const PLAIN_NUMBER_PATTERN = /^\d+(\.\d+)?$/
+const COMPACT_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/
+const SEPARATED_DATE_PATTERN = /^(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})\s*일?$/
+
+const UNIT_TO_YEARS = {
+  year: 1,
+  month: 1 / 12,
+  week: 1 / WEEKS_PER_YEAR,
+  day: 1 / DAYS_PER_YEAR,
+}
+
+const resolveAgeUnit = (unit) => {
+  const normalized = unit.toLowerCase()
+  if (['세', '살', '년'].includes(normalized) || normalized.startsWith('y')) return 'year'
+  if (['개월', '달'].includes(normalized) || normalized.startsWith('m')) return 'month'
+  if (normalized === '주' || normalized.startsWith('w')) return 'week'
+  return 'day'
+}
+
+const matchBirthDate = (text) => {
+  const match = text.match(COMPACT_DATE_PATTERN) || text.match(SEPARATED_DATE_PATTERN)
+  if (!match) return null
+  const year = Number(match[1])
+  if (year < 1900 || year > 2100) return null
+  return toDateParts(year, Number(match[2]), Number(match[3]))
+}
+
+const fullYearsBetween = (birth, reference) => {
+  let years = reference.year - birth.year
+  if (
+    reference.month < birth.month ||
+    (reference.month === birth.month && reference.day < birth.day)
+  ) {
+    years -= 1
+  }
+  return years
+}
+
+const ageFromBirthDate = (birth, reference) => {
+  if (!reference) return { error: 'reference' }
+  const years = fullYearsBetween(birth, reference)
+  if (years < 0) return { error: 'range' }
+  return { age: years, kind: 'birthDate' }
+}
+
+const interpretAgeText = (text, reference) => {
+  const birth = matchBirthDate(text)
+  if (birth) return ageFromBirthDate(birth, reference)
+
+  if (PLAIN_NUMBER_PATTERN.test(text)) {
+    return { age: Math.floor(Number(text)), kind: 'number' }
+  }
+
+  let years = 0
+  let matched = false
+  const leftover = text.replace(AGE_UNIT_PATTERN, (token, amount, unit) => {
+    matched = true
+    years += Number(amount) * UNIT_TO_YEARS[resolveAgeUnit(unit)]
+    return ''
+  })
+  if (!matched || leftover.replace(AGE_FILLER_PATTERN, '')) {
+    return { error: 'format' }
+  }
+  return { age: Math.floor(years + 1e-9), kind: 'unit' }
+}
+
+// Returns `{ age, kind }` on success or `{ error }` where error is one of
+// 'empty', 'text' (no digits, e.g. a header cell), 'format', 'reference'
+// (birth date without a reference date) or 'range' (birth date after the
+// reference date).
+const interpretAge = (value, referenceDate = null) => {
+  const reference =
+    typeof referenceDate === 'string' ? parseDateLabel(referenceDate) : referenceDate
+  if (value === null || value === undefined) return { error: 'empty' }
+
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    if (Number.isNaN(value.getTime())) return { error: 'format' }
+    const birth = toDateParts(value.getFullYear(), value.getMonth() + 1, value.getDate())
+    return ageFromBirthDate(birth, reference)
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) return { error: 'format' }
+    const birth = Number.isInteger(value) ? matchBirthDate(String(value)) : null
+    if (birth) return ageFromBirthDate(birth, reference)
+    return { age: Math.floor(value), kind: 'number' }
+  }
+
+  if (typeof value === 'string') {
+    const text = value.trim()
+    if (!text) return { error: 'empty' }
+    if (!/\d/.test(text)) return { error: 'text' }
+    return interpretAgeText(text, reference)
+  }
+
+  return { error: 'format' }
+}
+
+const parseAge = (value, referenceDate = null) => {
+  const result = interpretAge(value, referenceDate)
+  return result.error ? null : result.age
+}
+
+// ---- src/lib/ageGroupSchemes.js ----
+
+// Named age-group schemes. Each weekly row stores the scheme id it was
+// computed under, so add new schemes here instead of editing existing ones.
+
+const MIN_AGE = 0
+const MAX_AGE = 120
+
+const DEFAULT_SCHEME_ID = 'ili'
+
+const buildDecadeGroups = () => {
+  const groups = []
+  for (let start = 0; start < 80; start += 10) {
+    const end = start + 9
+    groups.push({ id: `${start}-${end}`, label: `${start}-${end}세`, range: [start, end] })
+  }
+  groups.push({ id: '80+', label: '80세 이상', range: [80, MAX_AGE] })
+  return groups
+}
+
+const AGE_GROUP_SCHEMES = [
+  {
+    id: 'ili',
+    label: '인플루엔자 표본감시 (ILI)',
+    groups: [
+      {
+        id: '0-6',
+        label: '0-6세',
+        range: [0, 6],
+        children: [
+          { id: '0', label: '0세', range: [0, 0] },
+          { id: '1-6', label: '1-6세', range: [1, 6] },
+        ],
+      },
+      {
+        id: '7-18',
+        label: '7-18세',
+        range: [7, 18],
+        children: [
+          { id: '7-12', label: '7-12세', range: [7, 12] },
+          { id: '13-18', label: '13-18세', range: [13, 18] },
+        ],
+      },
+      { id: '19-49', label: '19-49세', range: [19, 49] },
+      { id: '50-64', label: '50-64세', range: [50, 64] },
+      { id: '65+', label: '65세 이상', range: [65, MAX_AGE] },
+    ],
+  },
+  {
+    id: 'school',
+    label: '학교보건 구분',
+    groups: [
+      {
+        id: 'preschool',
+        label: '미취학 (0-6세)',
+        range: [0, 6],
+        children: [
+          { id: 'infant', label: '영아 (0-2세)', range: [0, 2] },
+          { id: 'kindergarten', label: '유아 (3-6세)', range: [3, 6] },
+        ],
+      },
+      { id: 'elementary', label: '초등학생 (7-12세)', range: [7, 12] },
+      { id: 'middle', label: '중학생 (13-15세)', range: [13, 15] },
+      { id: 'high', label: '고등학생 (16-18세)', range: [16, 18] },
+      { id: 'adult', label: '성인 (19세 이상)', range: [19, MAX_AGE] },
+    ],
+  },
+  {
+    id: 'decade',
+    label: '10세 단위',
+    groups: buildDecadeGroups(),
+  },
+]
+
+const getAgeGroupScheme = (schemeId) => {
+  return (
+    AGE_GROUP_SCHEMES.find((scheme) => scheme.id === schemeId) ||
+    AGE_GROUP_SCHEMES.find((scheme) => scheme.id === DEFAULT_SCHEME_ID)
+  )
+}
+
+// ---- src/lib/dimensions.js ----
+
+// Categorical columns that can be cross-tabulated with the age groups. Each
+// dimension turns a raw cell into a category label (null when it cannot);
+// only those labels are kept, never the raw cells. Add a dimension here to
+// make it available to the Apps Script, the folder CLI and upload mode.
+
+const UNKNOWN_CATEGORY = '미상'
+
+// 남/남자/남성, M/male and 1 or 3 read as 남; 여/여자/여성, F/female and 2 or 4
+// as 여. 1-4 are the sex digit of a 주민등록번호 (3/4 for those born in 2000
+// or later), which some EMRs export on its own.
+const normalizeSex = (value) => {
+  const text = String(value ?? '')
+    .trim()
+    .toLowerCase()
+  if (/^(남|m$|male$|[13]$)/.test(text)) return '남'
+  if (/^(여|f$|female$|[24]$)/.test(text)) return '여'
+  return null
+}
+
+// Keeps the 시/도 and 시/군/구 of an address so no street-level detail is stored.
+const normalizeRegion = (value) => {
+  const parts = String(value ?? '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+  return parts.length ? parts.slice(0, 2).join(' ') : null
+}
+
+// `categories` fixes the display order; other values follow alphabetically.
+const DIMENSIONS = [
+  {
+    id: 'sex',
+    label: '성별',
+    headerKeywords: ['성별', 'sex', 'gender'],
+    categories: ['남', '여'],
+    normalize: normalizeSex,
+  },
+  {
+    id: 'region',
+    label: '지역',
+    headerKeywords: ['지역', '주소', '거주지'],
+    categories: [],
+    normalize: normalizeRegion,
+  },
+]
+
+const getDimension = (dimensionId) => {
+  return DIMENSIONS.find((dimension) => dimension.id === dimensionId) || null
+}
+
+const sortCategories = (dimension, values) => {
+  const rank = (value) => {
+    if (value === UNKNOWN_CATEGORY) return Number.MAX_SAFE_INTEGER
+    const index = dimension.categories.indexOf(value)
+    return index === -1 ? dimension.categories.length : index
+  }
+  return [...values].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+}
+
+// ---- src/lib/aggregation.js ----
+
+// Pure aggregation core shared by the app, the API and the Apps Script bundle.
+// Keep this file free of browser/Node APIs: `npm run build:gas` concatenates it
+// into scripts/apps-script/shared.gs.
+
+
+const isValidAge = (age) => age !== null && age >= MIN_AGE && age <= MAX_AGE
+
+const IGNORED_AGE_ERRORS = ['empty', 'text']
+
+// Reads one column of cells and returns the valid ages plus every cell that
+// looked like data but could not be turned into an age. `row` is 1-based and
+// counted from `rowOffset`, so callers passing a slice can report sheet rows.
+const extractAges = (values, referenceDate = null, rowOffset = 0) => {
+  const ages = []
+  const unparsed = []
+  values.forEach((value, index) => {
+    const result = interpretAge(value, referenceDate)
+    if (result.error) {
+      if (!IGNORED_AGE_ERRORS.includes(result.error)) {
+        unparsed.push({ row: rowOffset + index + 1, value: String(value), reason: result.error })
+      }
+      return
+    }
+    if (isValidAge(result.age)) {
+      ages.push(result.age)
+    } else {
+      unparsed.push({ row: rowOffset + index + 1, value: String(value), reason: 'range' })
+    }
+  })
+  return { ages, unparsed }
+}
+
+const isInRange = (age, range) => age >= range[0] && age <= range[1]
+
+const buildCounts = (ages, groups = getAgeGroupScheme(DEFAULT_SCHEME_ID).groups) => {
+  const counts = groups.map((group) => ({
+    id: group.id,
+    label: group.label,
+    range: group.range,
+    count: 0,
+    children: (group.children || []).map((child) => ({
+      id: child.id,
+      label: child.label,
+      range: child.range,
+      count: 0,
+    })),
+  }))
+
+  ages.forEach((age) => {
+    counts.forEach((group) => {
+      if (isInRange(age, group.range)) {
+        group.count += 1
+        group.children.forEach((child) => {
+          if (isInRange(age, child.range)) {
+            child.count += 1
+          }
+        })
+      }
+    })
+  })
+
+  return counts
+}
+
+const combineCounts = (visitCounts, feverCounts) => {
+  return visitCounts.map((group) => {
+    const feverGroup = feverCounts.find((item) => item.id === group.id) || {
+      count: 0,
+      children: [],
+    }
+
+    return {
+      id: group.id,
+      label: group.label,
+      totalCount: group.count,
+      feverCount: feverGroup.count || 0,
+      children: group.children.map((child) => {
+        const feverChild = feverGroup.children?.find((item) => item.id === child.id) || {}
+        return {
+          id: child.id,
+          label: child.label,
+          totalCount: child.count,
+          feverCount: feverChild.count || 0,
+        }
+      }),
+    }
+  })
+}
+
+const calculateRatio = (feverCount, totalCount) => {
+  return totalCount ? (feverCount / totalCount) * 100 : 0
+}
+
+const summarizeAges = (visitAges, feverAges, schemeId = DEFAULT_SCHEME_ID) => {
+  const scheme = getAgeGroupScheme(schemeId)
+  const totalVisit = visitAges.length
+  const totalFever = feverAges.length
+  return {
+    schemeId: scheme.id,
+    totalVisit,
+    totalFever,
+    overallRatio: calculateRatio(totalFever, totalVisit),
+    groups: combineCounts(
+      buildCounts(visitAges, scheme.groups),
+      buildCounts(feverAges, scheme.groups),
+    ),
+  }
+}
+
+// Single-year age counts (`{ "5": 12 }`) are stored with each week so it can
+// be re-bucketed under a different scheme later.
+const buildAgeHistogram = (ages) => {
+  return ages.reduce((acc, age) => {
+    acc[age] = (acc[age] || 0) + 1
+    return acc
+  }, {})
+}
+
+const expandAgeHistogram = (histogram) => {
+  const ages = []
+  Object.keys(histogram || {}).forEach((key) => {
+    const age = Number(key)
+    const count = Number(histogram[key]) || 0
+    for (let index = 0; index < count; index += 1) {
+      ages.push(age)
+    }
+  })
+  return ages
+}
+
+const regroupAgeHistogram = (ageHistogram, schemeId) => {
+  return summarizeAges(
+    expandAgeHistogram(ageHistogram?.visit),
+    expandAgeHistogram(ageHistogram?.fever),
+    schemeId,
+  )
+}
+
+// Unique-patient counting. `patients` lists `{ id, age }` per visit row, read
+// from a 차트번호/환자번호 column; the ids only live in memory and are never
+// stored. Rows without an id count as separate patients.
+const dedupePatients = (patients) => {
+  const seen = new Set()
+  return patients.filter((patient) => {
+    if (!patient.id) return true
+    if (seen.has(patient.id)) return false
+    seen.add(patient.id)
+    return true
+  })
+}
+
+// Days carry `visitPatients` / `feverPatients` only when unique counting is on
+// and every file had an id column.
+const hasPatientIds = (days) => {
+  return days.every((day) => Array.isArray(day.visitPatients) && Array.isArray(day.feverPatients))
+}
+
+// Each patient counts once for the week, at the age of their first visit.
+const summarizeUniquePatients = (days, schemeId = DEFAULT_SCHEME_ID) => {
+  const sortedDays = [...days].sort((a, b) => String(a.date).localeCompare(String(b.date)))
+  const visitAges = dedupePatients(sortedDays.flatMap((day) => day.visitPatients)).map(
+    (patient) => patient.age,
+  )
+  const feverAges = dedupePatients(sortedDays.flatMap((day) => day.feverPatients)).map(
+    (patient) => patient.age,
+  )
+  const summary = summarizeAges(visitAges, feverAges, schemeId)
+  return {
+    totalVisit: summary.totalVisit,
+    totalFever: summary.totalFever,
+    overallRatio: summary.overallRatio,
+    groups: summary.groups,
+    ageHistogram: {
+      visit: buildAgeHistogram(visitAges),
+      fever: buildAgeHistogram(feverAges),
+    },
+  }
+}
+
+// Age × category cross-tabs for the dimensions in `dimensionIds`. `records`
+// are the `{ age, values }` rows read with extractColumnDimensions. Each
+// category keeps an age histogram so it can be grouped under any scheme.
+const buildDimensionBreakdowns = (visitRecords, feverRecords, dimensionIds) => {
+  return dimensionIds
+    .map((dimensionId) => getDimension(dimensionId))
+    .filter(Boolean)
+    .map((dimension) => {
+      const agesByCategory = new Map()
+      const addRecords = (records, key) => {
+        records.forEach((record) => {
+          const category = record.values?.[dimension.id] || UNKNOWN_CATEGORY
+          if (!agesByCategory.has(category)) {
+            agesByCategory.set(category, { visit: [], fever: [] })
+          }
+          agesByCategory.get(category)[key].push(record.age)
+        })
+      }
+      addRecords(visitRecords, 'visit')
+      addRecords(feverRecords, 'fever')
+
+      const categories = sortCategories(dimension, Array.from(agesByCategory.keys())).map(
+        (value) => {
+          const ages = agesByCategory.get(value)
+          return {
+            value,
+            totalVisit: ages.visit.length,
+            totalFever: ages.fever.length,
+            ageHistogram: {
+              visit: buildAgeHistogram(ages.visit),
+              fever: buildAgeHistogram(ages.fever),
+            },
+          }
+        },
+      )
+      return { id: dimension.id, label: dimension.label, categories }
+    })
+}
+
+// A stored breakdown with each category's `groups` under `schemeId`.
+const resolveDimensionGroups = (breakdown, schemeId) => {
+  return {
+    ...breakdown,
+    categories: breakdown.categories.map((category) => ({
+      ...category,
+      groups: regroupAgeHistogram(category.ageHistogram, schemeId).groups,
+    })),
+  }
+}
+
+// `days` is a list of `{ date, visitAges, feverAges }`. Each day keeps only
+// top-level group counts to keep `daily_json` small; `uniqueVisit` and
+// `uniqueFever` are added when the day has patient ids.
+const buildDailyBreakdown = (days, schemeId = DEFAULT_SCHEME_ID) => {
+  return days
+    .map((day) => {
+      const summary = summarizeAges(day.visitAges || [], day.feverAges || [], schemeId)
+      const entry = {
+        date: day.date,
+        weekday: getWeekdayLabel(day.date),
+        totalVisit: summary.totalVisit,
+        totalFever: summary.totalFever,
+        overallRatio: summary.overallRatio,
+        groups: summary.groups.map((group) => ({
+          id: group.id,
+          label: group.label,
+          totalCount: group.totalCount,
+          feverCount: group.feverCount,
+        })),
+      }
+      if (hasPatientIds([day])) {
+        entry.uniqueVisit = dedupePatients(day.visitPatients).length
+        entry.uniqueFever = dedupePatients(day.feverPatients).length
+      }
+      return entry
+    })
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+}
+
+// The `weekly_reports` row for one week. `days` lists the Mon-Sat
+// `{ date, visitAges, feverAges }` (plus `visitPatients` / `feverPatients` for
+// unique counting and `visitRecords` / `feverRecords` for the `dimensionIds`
+// cross-tabs) and `missingDays` the dates with a missing file; shared by the
+// Apps Script and the folder CLI.
+const buildWeeklyReport = ({
+  weekStart,
+  weekEnd,
+  days,
+  missingDays,
+  schemeId = DEFAULT_SCHEME_ID,
+  createdAt,
+  source,
+  dimensionIds = [],
+}) => {
+  const visitAges = days.flatMap((day) => day.visitAges)
+  const feverAges = days.flatMap((day) => day.feverAges)
+  const summary = summarizeAges(visitAges, feverAges, schemeId)
+  return {
+    weekStart,
+    weekEnd,
+    totalVisit: summary.totalVisit,
+    totalFever: summary.totalFever,
+    overallRatio: summary.overallRatio,
+    groups: summary.groups,
+    missingDays: [...missingDays].sort(),
+    createdAt,
+    schemeId: summary.schemeId,
+    ageHistogram: {
+      visit: buildAgeHistogram(visitAges),
+      fever: buildAgeHistogram(feverAges),
+    },
+    daily: buildDailyBreakdown(days, summary.schemeId),
+    unique: hasPatientIds(days) ? summarizeUniquePatients(days, summary.schemeId) : null,
+    dimensions: buildDimensionBreakdowns(
+      days.flatMap((day) => day.visitRecords || []),
+      days.flatMap((day) => day.feverRecords || []),
+      dimensionIds,
+    ),
+    source,
+  }
+}
+
+// Groups for a stored week under `schemeId`: the stored groups when the scheme
+// matches, re-bucketed from the age histogram when available, otherwise the
+// stored groups under the scheme they were computed with.
+const resolveReportGroups = (report, schemeId) => {
+  const storedSchemeId = report.schemeId || DEFAULT_SCHEME_ID
+  if (storedSchemeId === schemeId) {
+    return { groups: report.groups || [], schemeId }
+  }
+  if (report.ageHistogram) {
+    return { groups: regroupAgeHistogram(report.ageHistogram, schemeId).groups, schemeId }
+  }
+  return { groups: report.groups || [], schemeId: storedSchemeId }
+}
+
+// Unique-patient totals and groups for a stored week under `schemeId`, or
+// null when the week was counted without patient ids.
+const resolveUniqueSummary = (report, schemeId) => {
+  if (!report.unique) return null
+  if ((report.schemeId || DEFAULT_SCHEME_ID) === schemeId && report.unique.groups) {
+    return report.unique
+  }
+  return { ...report.unique, ...regroupAgeHistogram(report.unique.ageHistogram, schemeId) }
+}
+
+// ---- src/lib/columnDetection.js ----
+
+// Finds the age column in exported sheets. `sheets` is a list of
+// `{ name, rows }` where rows are 2D cell arrays (SheetJS `header: 1` output in
+// the browser, `getValues()` in Apps Script).
+
+
+const LEGACY_AGE_COLUMN_INDEX = 3
+
+// Ordered by preference: an explicit 만나이 column wins over a birth date.
+const AGE_HEADER_KEYWORDS = ['만나이', '나이', '연령', 'age', '생년월일', 'birthdate', 'dob']
+
+// Headers of the column used to count unique patients.
+const PATIENT_ID_HEADER_KEYWORDS = ['차트번호', '환자번호']
+
+const HEADER_SCAN_ROWS = 10
+const PREVIEW_ROW_COUNT = 5
+
+const normalizeHeader = (value) => {
+  if (value === null || value === undefined) return ''
+  return String(value).replace(/\s+/g, '').toLowerCase()
+}
+
+const MAX_HEADER_EXTRA_CHARS = 3
+
+// "나이(세)" and "환자나이" match, a title cell like "환자 나이별 현황" does not.
+const matchesHeaderKeyword = (header, keyword) => {
+  if (/^[a-z]+$/.test(keyword)) {
+    return new RegExp(`(^|[^a-z])${keyword}([^a-z]|$)`).test(header)
+  }
+  if (header.length > keyword.length + MAX_HEADER_EXTRA_CHARS) return false
+  return header.startsWith(keyword) || header.endsWith(keyword)
+}
+
+const formatCellText = (value) => {
+  if (value === null || value === undefined) return ''
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    const month = String(value.getMonth() + 1).padStart(2, '0')
+    const day = String(value.getDate()).padStart(2, '0')
+    return `${value.getFullYear()}-${month}-${day}`
+  }
+  return String(value).trim()
+}
+
+const columnLabel = (index) => {
+  let label = ''
+  let current = index + 1
+  while (current > 0) {
+    const remainder = (current - 1) % 26
+    label = String.fromCharCode(65 + remainder) + label
+    current = Math.floor((current - 1) / 26)
+  }
+  return label
+}
+
+const getColumnCount = (rows) => {
+  return rows.reduce((max, row) => Math.max(max, row ? row.length : 0), 0)
+}
+
+const findHeaderCells = (rows) => {
+  const matches = []
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, rowIndex) => {
+    const cells = row || []
+    cells.forEach((cell, columnIndex) => {
+      const header = normalizeHeader(cell)
+      if (!header) return
+      const rank = AGE_HEADER_KEYWORDS.findIndex((keyword) =>
+        matchesHeaderKeyword(header, keyword),
+      )
+      if (rank !== -1) {
+        matches.push({ rank, rowIndex, columnIndex, header: String(cell).trim() })
+      }
+    })
+  })
+  return matches.sort((a, b) => a.rank - b.rank || a.rowIndex - b.rowIndex)
+}
+
+// Column index of the first header matching one of `keywords`, or -1.
+const findKeywordColumn = (rows, keywords) => {
+  const headerRows = rows.slice(0, HEADER_SCAN_ROWS)
+  for (let rowIndex = 0; rowIndex < headerRows.length; rowIndex += 1) {
+    const cells = headerRows[rowIndex] || []
+    const columnIndex = cells.findIndex((cell) => {
+      const header = normalizeHeader(cell)
+      return Boolean(header) && keywords.some((keyword) => matchesHeaderKeyword(header, keyword))
+    })
+    if (columnIndex !== -1) return columnIndex
+  }
+  return -1
+}
+
+// Column index of a 차트번호/환자번호 header, or -1.
+const findPatientIdColumn = (rows) => findKeywordColumn(rows, PATIENT_ID_HEADER_KEYWORDS)
+
+// `{ [dimensionId]: columnIndex }` for the dimensions with a matching header.
+const findDimensionColumns = (rows) => {
+  return DIMENSIONS.reduce((acc, dimension) => {
+    const column = findKeywordColumn(rows, dimension.headerKeywords)
+    if (column !== -1) acc[dimension.id] = column
+    return acc
+  }, {})
+}
+
+// The rows below the header with a valid age, as `{ row, age }`.
+const readAgeRows = (rows, selection, referenceDate) => {
+  const ageRows = []
+  for (let index = selection.headerRow + 1; index < rows.length; index += 1) {
+    const row = rows[index] || []
+    const age = parseAge(row[selection.column], referenceDate)
+    if (isValidAge(age)) ageRows.push({ row, age })
+  }
+  return ageRows
+}
+
+// `{ id, age }` for every row with a valid age, read from `selection.idColumn`.
+// The ids are for de-duplication in memory only.
+const extractColumnPatients = (rows, selection, referenceDate = null) => {
+  return readAgeRows(rows, selection, referenceDate).map(({ row, age }) => ({
+    id: formatCellText(row[selection.idColumn]),
+    age,
+  }))
+}
+
+// `{ age, values }` for every row with a valid age, where `values` maps each
+// dimension in `selection.dimensionColumns` to its normalized category.
+const extractColumnDimensions = (rows, selection, referenceDate = null) => {
+  const columns = selection.dimensionColumns || {}
+  const dimensions = DIMENSIONS.filter((dimension) => dimension.id in columns)
+  return readAgeRows(rows, selection, referenceDate).map(({ row, age }) => ({
+    age,
+    values: dimensions.reduce((acc, dimension) => {
+      acc[dimension.id] = dimension.normalize(row[columns[dimension.id]])
+      return acc
+    }, {}),
+  }))
+}
+
+const extractColumnAges = (rows, selection, referenceDate = null) => {
+  const startRow = selection.headerRow + 1
+  const values = rows.slice(startRow).map((row) => (row ? row[selection.column] : null))
+  return extractAges(values, referenceDate, startRow)
+}
+
+const countColumnAges = (rows, column, headerRow, referenceDate) => {
+  return extractColumnAges(rows, { column, headerRow }, referenceDate).ages.length
+}
+
+// The best-ranked header whose column holds ages wins. Without one, keep the
+// legacy D column when it holds ages (a 순번 column would otherwise win), else
+// take the column with the most ages.
+const detectAgeColumn = (rows, referenceDate = null) => {
+  const headerCells = findHeaderCells(rows)
+  for (let index = 0; index < headerCells.length; index += 1) {
+    const headerCell = headerCells[index]
+    const ageCount = countColumnAges(
+      rows,
+      headerCell.columnIndex,
+      headerCell.rowIndex,
+      referenceDate,
+    )
+    if (ageCount) {
+      return {
+        column: headerCell.columnIndex,
+        headerRow: headerCell.rowIndex,
+        header: headerCell.header,
+        method: 'header',
+        ageCount,
+        idColumn: findPatientIdColumn(rows),
+        dimensionColumns: findDimensionColumns(rows),
+      }
+    }
+  }
+
+  const legacyCount = countColumnAges(rows, LEGACY_AGE_COLUMN_INDEX, -1, referenceDate)
+  let best = { column: LEGACY_AGE_COLUMN_INDEX, ageCount: legacyCount }
+  if (!legacyCount) {
+    const columnCount = getColumnCount(rows)
+    for (let column = 0; column < columnCount; column += 1) {
+      const ageCount = countColumnAges(rows, column, -1, referenceDate)
+      if (ageCount > best.ageCount) {
+        best = { column, ageCount }
+      }
+    }
+  }
+  return {
+    column: best.column,
+    headerRow: -1,
+    header: '',
+    method: 'content',
+    ageCount: best.ageCount,
+    idColumn: findPatientIdColumn(rows),
+    dimensionColumns: findDimensionColumns(rows),
+  }
+}
+
+const isBetterDetection = (candidate, current) => {
+  if (!current) return true
+  if (candidate.method !== current.method) return candidate.method === 'header'
+  return candidate.ageCount > current.ageCount
+}
+
+const detectAgeSource = (sheets, referenceDate = null) => {
+  let best = null
+  sheets.forEach((sheet) => {
+    const candidate = { sheetName: sheet.name, ...detectAgeColumn(sheet.rows, referenceDate) }
+    if (isBetterDetection(candidate, best)) {
+      best = candidate
+    }
+  })
+  return best
+}
+
+// `override` is `{ sheetName, column }` picked by the user; either may be left
+// out to keep the detected value.
+const resolveAgeSource = (sheets, referenceDate = null, override = null) => {
+  const detected = detectAgeSource(sheets, referenceDate)
+  if (!override || !detected) return detected
+
+  const sheetName = override.sheetName || detected.sheetName
+  const sheet = sheets.find((item) => item.name === sheetName)
+  if (!sheet) return detected
+  const detection = detectAgeColumn(sheet.rows, referenceDate)
+  const column = Number.isInteger(override.column) ? override.column : detection.column
+  const headerRow = detection.headerRow
+  return {
+    sheetName: sheet.name,
+    column,
+    headerRow,
+    header: headerRow >= 0 ? formatCellText(sheet.rows[headerRow]?.[column]) : '',
+    method: 'manual',
+    ageCount: countColumnAges(sheet.rows, column, headerRow, referenceDate),
+    idColumn: detection.idColumn,
+    dimensionColumns: detection.dimensionColumns,
+  }
+}
+
+const buildColumnPreview = (rows, selection, referenceDate = null) => {
+  const preview = []
+  for (let index = selection.headerRow + 1; index < rows.length; index += 1) {
+    const value = rows[index] ? rows[index][selection.column] : null
+    if (value === null || value === undefined || value === '') continue
+    preview.push({
+      row: index + 1,
+      value: formatCellText(value),
+      age: parseAge(value, referenceDate),
+    })
+    if (preview.length >= PREVIEW_ROW_COUNT) break
+  }
+  return preview
+}
+
+// ---- src/lib/revisions.js ----
+
+// Revision history for weeks that are aggregated again, e.g. when a file for
+// a missing day arrives late. Each entry keeps the values the week had before
+// the revision made at `revisedAt`, and why it was made (`reason`).
+
+// `lateFiles`: a missing day's file arrived (Apps Script recheck).
+// `reaggregated`: the week was aggregated again (backfill, folder CLI).
+// `manual`: a week from upload mode replaced it.
+const REVISION_REASONS = ['lateFiles', 'reaggregated', 'manual']
+
+const getDefaultReason = (next) => (next.source === 'manual' ? 'manual' : 'reaggregated')
+
+const snapshotReport = (report) => ({
+  totalVisit: report.totalVisit,
+  totalFever: report.totalFever,
+  overallRatio: report.overallRatio,
+  missingDays: report.missingDays || [],
+})
+
+const hasRevisionChanges = (previous, next) => {
+  return (
+    previous.totalVisit !== next.totalVisit ||
+    previous.totalFever !== next.totalFever ||
+    (previous.missingDays || []).join(',') !== (next.missingDays || []).join(',')
+  )
+}
+
+// `previous` is the stored week being replaced by `next` (or null). Its history
+// is carried over; when the totals or missing days changed, its values are
+// appended with `next.createdAt` as the revision time and `reason` (one of
+// REVISION_REASONS, by default from `next.source`).
+const applyRevision = (previous, next, reason = getDefaultReason(next)) => {
+  if (!previous) return { ...next, revisedAt: '', revisions: [] }
+  const revisions = Array.isArray(previous.revisions) ? previous.revisions : []
+  if (!hasRevisionChanges(previous, next)) {
+    return { ...next, revisedAt: previous.revisedAt || '', revisions }
+  }
+  return {
+    ...next,
+    revisedAt: next.createdAt,
+    revisions: [...revisions, { revisedAt: next.createdAt, reason, ...snapshotReport(previous) }],
+  }
+}
+
+// ---- src/lib/dataQuality.js ----
+
+// Consistency checks between the visit and fever files of one week. Fever
+// patients are a subset of visits, so a day or age group with more fever than
+// visits points at a wrong or mismatched file. Issues are plain objects so they
+// can be stored with the weekly row (`quality_json`).
+
+
+const QUALITY_OPTIONS = {
+  // A day is flagged when its visits fall below `dropRatio` × the mean of the
+  // same weekday in the previous `baselineWeeks` weeks. The mean needs at least
+  // `minBaselineWeeks` stored days and `minBaselineVisits` visits.
+  dropRatio: 0.5,
+  baselineWeeks: 4,
+  minBaselineWeeks: 2,
+  minBaselineVisits: 10,
+}
+
+const FILE_KIND_LABELS = { visit: '총환자수', fever: '발열환자수' }
+
+// `{ [date]: totalVisit }` for the stored days that had their files.
+const buildVisitHistory = (history) => {
+  return history.reduce((acc, report) => {
+    const missing = report.missingDays || []
+    const days = report.daily || []
+    days.forEach((day) => {
+      if (!missing.includes(day.date)) acc[day.date] = day.totalVisit
+    })
+    return acc
+  }, {})
+}
+
+const findVolumeDrop = (day, visitHistory, options) => {
+  const samples = []
+  for (let week = 1; week <= options.baselineWeeks; week += 1) {
+    const visits = visitHistory[addDays(day.date, -7 * week)]
+    if (Number.isFinite(visits)) samples.push(visits)
+  }
+  if (samples.length < options.minBaselineWeeks) return null
+  const baseline = samples.reduce((sum, visits) => sum + visits, 0) / samples.length
+  if (baseline < options.minBaselineVisits || day.totalVisit >= baseline * options.dropRatio) {
+    return null
+  }
+  return {
+    type: 'volumeDrop',
+    date: day.date,
+    visit: day.totalVisit,
+    baseline: Math.round(baseline * 10) / 10,
+  }
+}
+
+// - `daily`: the week's `daily` entries (`{ date, totalVisit, totalFever, groups }`)
+// - `missingDays`: dates with a missing file
+// - `fileDates`: `{ visit, fever }` dates that have a file, when known
+// - `droppedAges`: `{ date, kind, count }` ages outside MIN_AGE..MAX_AGE that were left out
+// - `history`: other stored weeks, for the weekday volume baseline
+// Returns a list of `{ type, date, ... }` issues, see `describeQualityIssue`.
+const checkDataQuality = ({
+  daily,
+  missingDays = [],
+  fileDates = null,
+  droppedAges = [],
+  history = [],
+  options = QUALITY_OPTIONS,
+}) => {
+  const issues = []
+  const feverOnlyDates = fileDates
+    ? fileDates.fever.filter((date) => !fileDates.visit.includes(date))
+    : []
+  feverOnlyDates.forEach((date) => issues.push({ type: 'feverWithoutVisit', date }))
+
+  const visitHistory = buildVisitHistory(history)
+  daily.forEach((day) => {
+    if (feverOnlyDates.includes(day.date)) return
+    if (day.totalFever > day.totalVisit) {
+      issues.push({
+        type: 'feverExceedsVisit',
+        date: day.date,
+        group: null,
+        visit: day.totalVisit,
+        fever: day.totalFever,
+      })
+    }
+    const groups = day.groups || []
+    groups.forEach((group) => {
+      if (group.feverCount > group.totalCount) {
+        issues.push({
+          type: 'feverExceedsVisit',
+          date: day.date,
+          group: group.label,
+          visit: group.totalCount,
+          fever: group.feverCount,
+        })
+      }
+    })
+    if (!missingDays.includes(day.date)) {
+      const drop = findVolumeDrop(day, visitHistory, options)
+      if (drop) issues.push(drop)
+    }
+  })
+
+  droppedAges
+    .filter((entry) => entry.count > 0)
+    .forEach((entry) => issues.push({ type: 'agesDropped', ...entry }))
+
+  return issues
+}
+
+const describeQualityIssue = (issue) => {
+  const dateLabel = `${issue.date} (${getWeekdayLabel(issue.date)})`
+  if (issue.type === 'feverExceedsVisit') {
+    return `${dateLabel} ${issue.group || '전체'}: 발열 ${issue.fever}명이 내원 ${issue.visit}명보다 많습니다.`
+  }
+  if (issue.type === 'feverWithoutVisit') {
+    return `${dateLabel}: 발열환자수 파일만 있고 총환자수 파일이 없습니다.`
+  }
+  if (issue.type === 'volumeDrop') {
+    return `${dateLabel}: 내원 ${issue.visit}명으로 최근 같은 요일 평균 ${issue.baseline}명보다 크게 줄었습니다.`
+  }
+  if (issue.type === 'agesDropped') {
+    return `${dateLabel} ${FILE_KIND_LABELS[issue.kind]}: ${MIN_AGE}~${MAX_AGE}세 범위를 벗어난 나이 ${issue.count}건을 집계에서 제외했습니다.`
+  }
+  return `${dateLabel}: ${issue.type}`
+}
+
+// ---- src/lib/spreadsheetFormats.js ----
+
+// File types accepted for the daily age lists. Workbooks (xlsx, xls, ods) are
+// read by SheetJS or Google Sheets; CSV/TSV exports are decoded and split here
+// into the same `{ name, rows }` sheets, so every format goes through the same
+// age column detection. Many EMRs write CSV in CP949, so the encoding is
+// detected from the bytes instead of assuming UTF-8.
+
+const SPREADSHEET_EXTENSIONS = ['xlsx', 'xls', 'ods', 'csv', 'tsv']
+
+const TEXT_EXTENSIONS = ['csv', 'tsv']
+const DELIMITERS = [',', '\t', ';']
+
+const getFileExtension = (fileName) => {
+  const match = String(fileName || '').match(/\.([a-z0-9]+)$/i)
+  return match ? match[1].toLowerCase() : ''
+}
+
+const isTextSpreadsheet = (fileName) => TEXT_EXTENSIONS.includes(getFileExtension(fileName))
+
+// `bytes` may hold 0..255 or signed values (Apps Script `Blob.getBytes()`).
+const isValidUtf8 = (bytes) => {
+  let pending = 0
+  for (let index = 0; index < bytes.length; index += 1) {
+    const byte = bytes[index] & 0xff
+    if (pending) {
+      if ((byte & 0xc0) !== 0x80) return false
+      pending -= 1
+    } else if (byte >= 0xc2 && byte <= 0xdf) {
+      pending = 1
+    } else if ((byte & 0xf0) === 0xe0) {
+      pending = 2
+    } else if (byte >= 0xf0 && byte <= 0xf4) {
+      pending = 3
+    } else if (byte >= 0x80) {
+      return false
+    }
+  }
+  return pending === 0
+}
+
+// 'UTF-8' or 'CP949'. Korean Windows programs write CP949, the superset of
+// EUC-KR with 8,822 extra syllables that a strict EUC-KR decoder garbles.
+const detectTextEncoding = (bytes) => (isValidUtf8(bytes) ? 'UTF-8' : 'CP949')
+
+// Browsers decode `windows-949` as full CP949; Node's ICU does not, so the
+// CLI passes SheetJS's code page table instead. Apps Script decodes with
+// `Blob.getDataAsString`.
+const decodeTextBytes = (
+  bytes,
+  decodeCp949 = (cp949Bytes) => new TextDecoder('windows-949').decode(cp949Bytes),
+) => {
+  if (detectTextEncoding(bytes) === 'UTF-8') return new TextDecoder('utf-8').decode(bytes)
+  return decodeCp949(bytes)
+}
+
+const countOutsideQuotes = (line, delimiter) => {
+  let count = 0
+  let quoted = false
+  for (const char of line) {
+    if (char === '"') quoted = !quoted
+    else if (char === delimiter && !quoted) count += 1
+  }
+  return count
+}
+
+// TSV files always use tabs; for CSV the first non-empty line picks the most
+// frequent of comma, tab and semicolon (comma on a tie).
+const detectDelimiter = (text, extension) => {
+  if (extension === 'tsv') return '\t'
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim()) || ''
+  return DELIMITERS.reduce((best, delimiter) =>
+    countOutsideQuotes(firstLine, delimiter) > countOutsideQuotes(firstLine, best)
+      ? delimiter
+      : best,
+  )
+}
+
+// RFC 4180 fields: quoted fields may hold delimiters, line breaks and `""`.
+const parseDelimitedText = (text, delimiter) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index]
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"'
+        index += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && !field) {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+// One sheet named after the file, with empty cells as null like SheetJS rows.
+const readTextSheets = (text, fileName) => {
+  const content = text.replace(/^\uFEFF/, '')
+  const rows = parseDelimitedText(content, detectDelimiter(content, getFileExtension(fileName)))
+  return [
+    {
+      name: String(fileName).replace(/\.[^.]+$/, ''),
+      rows: rows.map((cells) => cells.map((cell) => (cell.trim() ? cell : null))),
+    },
+  ]
+}
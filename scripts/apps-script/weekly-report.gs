@@ -1,11 +1,26 @@
+// Requires shared.gs (generated by `npm run build:gas`) in the same Apps Script project.
+
 const CONFIG = {
   timezone: 'Asia/Seoul',
   folderId: '13AxT5x_P-tk51dON_YNmQHv_blVRavVj',
   reportSpreadsheetId: '1P2xA__ttUTyw763wxtGvJS5qBXatV8KQiVI8ksl05GQ',
   reportSheetName: 'weekly_reports',
+  ageGroupScheme: 'ili', // id from AGE_GROUP_SCHEMES in shared.gs
+  // Stop a backfill before Apps Script's 6-minute execution limit.
+  backfillTimeLimitMs: 5 * 60 * 1000,
+  // Weeks before last week that are re-checked for late files on each run.
+  recheckWeeks: 4,
+  // Also count unique patients by the 차트번호/환자번호 column when every file
+  // has one. The numbers are used in memory only and never written.
+  countUniquePatients: false,
+  // Dimension ids from DIMENSIONS in shared.gs (e.g. ['sex', 'region']) to
+  // cross-tabulate with the age groups; files without the column count as 미상.
+  dimensions: [],
+  // Files are named `YYYY-MM-DD_<suffix>.<extension>` with an extension from
+  // SPREADSHEET_EXTENSIONS in shared.gs (xlsx, xls, ods, csv, tsv).
   fileSuffix: {
-    visit: '총환자수.xlsx',
-    fever: '발열환자수.xlsx',
+    visit: '총환자수',
+    fever: '발열환자수',
   },
   headers: [
     'week_start',
@@ -16,107 +31,279 @@ const CONFIG = {
     'groups_json',
     'missing_days',
     'created_at',
+    'scheme_id',
+    'age_histogram_json',
+    'daily_json',
+    'source',
+    'revised_at',
+    'revisions_json',
+    'quality_json',
+    'unique_json',
+    'dimensions_json',
   ],
 }
 
-const AGE_GROUPS = [
-  {
-    id: '0-6',
-    label: '0-6세',
-    range: [0, 6],
-    children: [
-      { id: '0', label: '0세', range: [0, 0] },
-      { id: '1-6', label: '1-6세', range: [1, 6] },
-    ],
-  },
-  {
-    id: '7-18',
-    label: '7-18세',
-    range: [7, 18],
-    children: [
-      { id: '7-12', label: '7-12세', range: [7, 12] },
-      { id: '13-18', label: '13-18세', range: [13, 18] },
-    ],
-  },
-  { id: '19-49', label: '19-49세', range: [19, 49] },
-  { id: '50-64', label: '50-64세', range: [50, 64] },
-  { id: '65+', label: '65세 이상', range: [65, 120] },
-]
+// `source` of rows written by this script and of weeks saved from upload mode.
+const DRIVE_SOURCE = 'drive'
+const MANUAL_SOURCE = 'manual'
 
 function runWeeklyReport() {
   const range = getPreviousWeekRange()
   const aggregated = aggregateWeek(range)
   upsertReportRow(aggregated)
+  recheckRecentWeeks()
 }
 
-function getPreviousWeekRange() {
-  const now = new Date()
-  const day = now.getDay() // 0=Sun..6=Sat
-  const diffToMonday = (day + 6) % 7
-  const currentWeekMonday = new Date(now)
-  currentWeekMonday.setDate(now.getDate() - diffToMonday)
+// Re-aggregates recent weeks stored with missing days once the file that was
+// missing for one of those days shows up in Drive. upsertReportRow records the
+// revision; a re-aggregation that changes nothing is not written. Weeks saved
+// from upload mode are left alone: their files may never reach Drive, so a
+// rebuild from Drive alone could cover fewer days.
+function recheckRecentWeeks() {
+  const storedRows = readStoredWeeks()
+  const lastWeekStart = addDays(getWeekStart(formatDate(new Date())), -7)
+
+  for (let index = 1; index <= CONFIG.recheckWeeks; index += 1) {
+    const weekStart = addDays(lastWeekStart, -7 * index)
+    const stored = storedRows[weekStart]
+    if (!stored || !stored.missingDays.length) continue
+    if (stored.source === MANUAL_SOURCE) {
+      Logger.log(`${weekStart}: saved from upload mode, not re-checked`)
+      continue
+    }
+
+    const lateDays = stored.missingDays.filter((dateLabel) =>
+      getMissingKinds(stored, dateLabel).some((kind) => findDayFile(dateLabel, kind)),
+    )
+    if (!lateDays.length) continue
+
+    const report = aggregateWeek(buildWeekRange(weekStart), storedRows)
+    if (isSameAggregate(stored, report)) {
+      Logger.log(`${weekStart}: files found for ${lateDays.join(', ')} changed nothing`)
+      continue
+    }
+    upsertReportRow(report, 'lateFiles')
+    Logger.log(`${weekStart}: re-aggregated, files found for ${lateDays.join(', ')}`)
+  }
+}
+
+// Kinds ('visit', 'fever') whose file was missing on `dateLabel` in a stored
+// week. Rows written before `missingFiles` was kept in `daily` fall back to the
+// kinds without any patients that day.
+function getMissingKinds(stored, dateLabel) {
+  const day = stored.daily.find((entry) => entry.date === dateLabel)
+  if (!day) return ['visit', 'fever']
+  if (Array.isArray(day.missingFiles)) return day.missingFiles
+  return ['visit', 'fever'].filter((kind) => !day[kind === 'visit' ? 'totalVisit' : 'totalFever'])
+}
+
+function isSameAggregate(stored, report) {
+  return (
+    stored.totalVisit === report.totalVisit &&
+    stored.totalFever === report.totalFever &&
+    stored.missingDays.join(',') === report.missingDays.join(',') &&
+    JSON.stringify(stored.daily) === JSON.stringify(report.daily)
+  )
+}
+
+// Menu in the report spreadsheet; needs the project to be bound to it
+// (Extensions -> Apps Script from the spreadsheet).
+function onOpen() {
+  SpreadsheetApp.getUi()
+    .createMenu('주간 보고')
+    .addItem('지난주 집계', 'runWeeklyReport')
+    .addItem('기간 재집계', 'promptBackfill')
+    .addToUi()
+}
+
+function promptBackfill() {
+  const ui = SpreadsheetApp.getUi()
+  const askDate = (label) => {
+    const response = ui.prompt('기간 재집계', `${label} (YYYY-MM-DD)`, ui.ButtonSet.OK_CANCEL)
+    return response.getSelectedButton() === ui.Button.OK ? response.getResponseText().trim() : null
+  }
+
+  const startDate = askDate('시작일')
+  if (startDate === null) return
+  const endDate = askDate('종료일')
+  if (endDate === null) return
+  const force =
+    ui.alert(
+      '기간 재집계',
+      '이미 완료된 주간과 업로드로 저장한 주간도 다시 집계할까요?',
+      ui.ButtonSet.YES_NO,
+    ) === ui.Button.YES
+
+  const summary = backfillReports(startDate, endDate, force)
+  const lines = [
+    `집계 ${summary.written.length}주, 건너뜀 ${summary.skipped.length}주, 실패 ${summary.failed.length}주`,
+  ]
+  if (summary.failed.length) lines.push(`실패: ${summary.failed.join(', ')}`)
+  if (summary.remaining.length) {
+    lines.push(`시간 제한으로 ${summary.remaining[0]} 주간부터 다시 실행해야 합니다.`)
+  }
+  ui.alert('기간 재집계', lines.join('\n'), ui.ButtonSet.OK)
+}
+
+// Aggregates every Mon-Sat week from the week containing `startDate` to the
+// one containing `endDate` (`YYYY-MM-DD`, capped at last week). Weeks already
+// stored without missing days, and weeks saved from upload mode, are skipped
+// unless `force` is true. Run from the
+// editor, e.g. `backfillReports('2024-01-01', '2024-03-31')`.
+function backfillReports(startDate, endDate, force) {
+  const startLabel = startDate instanceof Date ? formatDate(startDate) : String(startDate)
+  const endLabel = endDate instanceof Date ? formatDate(endDate) : String(endDate)
+  if (!parseDateLabel(startLabel) || !parseDateLabel(endLabel) || startLabel > endLabel) {
+    throw new Error(`Invalid backfill range: ${startLabel} ~ ${endLabel}`)
+  }
+
+  const lastWeekStart = addDays(getWeekStart(formatDate(new Date())), -7)
+  const finalWeekStart =
+    getWeekStart(endLabel) < lastWeekStart ? getWeekStart(endLabel) : lastWeekStart
+  const storedRows = readStoredWeeks()
+  const startedAt = Date.now()
+  const summary = { written: [], skipped: [], failed: [], remaining: [] }
+
+  for (
+    let weekStart = getWeekStart(startLabel);
+    weekStart <= finalWeekStart;
+    weekStart = addDays(weekStart, 7)
+  ) {
+    if (Date.now() - startedAt > CONFIG.backfillTimeLimitMs) {
+      summary.remaining.push(weekStart)
+      continue
+    }
+    const stored = storedRows[weekStart]
+    if (stored && (!stored.missingDays.length || stored.source === MANUAL_SOURCE) && !force) {
+      summary.skipped.push(weekStart)
+      continue
+    }
+    try {
+      const report = aggregateWeek(buildWeekRange(weekStart), storedRows)
+      upsertReportRow(report)
+      storedRows[weekStart] = report
+      summary.written.push(weekStart)
+    } catch (error) {
+      summary.failed.push(weekStart)
+      Logger.log(`${weekStart}: ${error.message}`)
+    }
+  }
+
+  Logger.log(
+    `Backfill ${startLabel} ~ ${endLabel}${force ? ' (forced)' : ''}: ` +
+      `${summary.written.length} written, ${summary.skipped.length} skipped as complete or manual, ` +
+      `${summary.failed.length} failed` +
+      (summary.remaining.length ? `; time limit reached, re-run from ${summary.remaining[0]}` : ''),
+  )
+  return summary
+}
 
-  const start = new Date(currentWeekMonday)
-  start.setDate(currentWeekMonday.getDate() - 7)
-  const end = new Date(start)
-  end.setDate(start.getDate() + 5)
+function getPreviousWeekRange() {
+  const currentWeekStart = getWeekStart(formatDate(new Date()))
+  return buildWeekRange(addDays(currentWeekStart, -7))
+}
 
+// Dates are created at noon so formatting them in CONFIG.timezone never lands
+// on the neighbouring day, whatever the project timezone.
+function buildWeekRange(weekStart) {
   const days = []
   for (let offset = 0; offset <= 5; offset += 1) {
-    const date = new Date(start)
-    date.setDate(start.getDate() + offset)
-    days.push(date)
+    const parts = parseDateLabel(addDays(weekStart, offset))
+    days.push(new Date(parts.year, parts.month - 1, parts.day, 12))
   }
-
-  return { start, end, days }
+  return { start: days[0], end: days[5], days }
 }
 
-function aggregateWeek(range) {
-  const visitAges = []
-  const feverAges = []
+// `storedRows` (see readStoredWeeks) gives the data-quality checks their
+// weekday baseline; the sheet is read when it is omitted.
+function aggregateWeek(range, storedRows) {
   const missingDays = new Set()
+  const missingFiles = {}
+  const days = []
+  const fileDates = { visit: [], fever: [] }
+  const droppedAges = []
 
   range.days.forEach((date) => {
     const dateLabel = formatDate(date)
-    const visitFileName = `${dateLabel}_${CONFIG.fileSuffix.visit}`
-    const feverFileName = `${dateLabel}_${CONFIG.fileSuffix.fever}`
+    const day = { date: dateLabel, visitAges: [], feverAges: [] }
+    missingFiles[dateLabel] = []
+    if (CONFIG.countUniquePatients) {
+      day.visitPatients = []
+      day.feverPatients = []
+    }
+    if (CONFIG.dimensions.length) {
+      day.visitRecords = []
+      day.feverRecords = []
+    }
 
-    const visitFile = findFileByName(CONFIG.folderId, visitFileName)
+    const visitFile = findDayFile(dateLabel, 'visit')
     if (visitFile) {
-      visitAges.push(...extractAgesFromExcel(visitFile))
+      const extracted = extractAgesFromFile(visitFile, dateLabel)
+      day.visitAges = extracted.ages
+      if (CONFIG.countUniquePatients) day.visitPatients = extracted.patients
+      if (CONFIG.dimensions.length) day.visitRecords = extracted.records
+      fileDates.visit.push(dateLabel)
+      droppedAges.push({ date: dateLabel, kind: 'visit', count: extracted.droppedCount })
     } else {
       missingDays.add(dateLabel)
+      missingFiles[dateLabel].push('visit')
     }
 
-    const feverFile = findFileByName(CONFIG.folderId, feverFileName)
+    const feverFile = findDayFile(dateLabel, 'fever')
     if (feverFile) {
-      feverAges.push(...extractAgesFromExcel(feverFile))
+      const extracted = extractAgesFromFile(feverFile, dateLabel)
+      day.feverAges = extracted.ages
+      if (CONFIG.countUniquePatients) day.feverPatients = extracted.patients
+      if (CONFIG.dimensions.length) day.feverRecords = extracted.records
+      fileDates.fever.push(dateLabel)
+      droppedAges.push({ date: dateLabel, kind: 'fever', count: extracted.droppedCount })
     } else {
       missingDays.add(dateLabel)
+      missingFiles[dateLabel].push('fever')
     }
-  })
-
-  const visitCounts = buildCounts(visitAges)
-  const feverCounts = buildCounts(feverAges)
-  const combinedGroups = combineCounts(visitCounts, feverCounts)
 
-  const totalVisit = visitAges.length
-  const totalFever = feverAges.length
-  const overallRatio = totalVisit ? (totalFever / totalVisit) * 100 : 0
+    days.push(day)
+  })
 
-  return {
+  const report = buildWeeklyReport({
     weekStart: formatDate(range.start),
     weekEnd: formatDate(range.end),
-    totalVisit,
-    totalFever,
-    overallRatio,
-    combinedGroups,
-    missingDays: Array.from(missingDays).sort(),
+    days,
+    missingDays: Array.from(missingDays),
+    schemeId: CONFIG.ageGroupScheme,
     createdAt: formatTimestamp(new Date()),
-  }
+    source: DRIVE_SOURCE,
+    dimensionIds: CONFIG.dimensions,
+  })
+  // Which kind was missing per day, so recheckRecentWeeks looks only for that file.
+  const daily = report.daily.map((day) =>
+    missingFiles[day.date]?.length ? { ...day, missingFiles: missingFiles[day.date] } : day,
+  )
+  const rows = storedRows || readStoredWeeks()
+  const history = Object.keys(rows).map((weekStart) => rows[weekStart])
+  const quality = checkDataQuality({
+    daily,
+    missingDays: report.missingDays,
+    fileDates,
+    droppedAges,
+    history,
+  })
+  quality.forEach((issue) => Logger.log(`${report.weekStart}: ${describeQualityIssue(issue)}`))
+  return { ...report, daily, quality }
 }
 
-function extractAgesFromExcel(file) {
+// Apps Script charset names for `detectTextEncoding`; Java calls CP949 MS949.
+const APPS_SCRIPT_CHARSETS = { 'UTF-8': 'UTF-8', CP949: 'MS949' }
+
+// CSV/TSV files are decoded here (UTF-8 or CP949); workbooks are converted to
+// a temporary Google Sheet and read from there.
+function readFileSheets(file) {
+  if (isTextSpreadsheet(file.getName())) {
+    const blob = file.getBlob()
+    const text = blob.getDataAsString(APPS_SCRIPT_CHARSETS[detectTextEncoding(blob.getBytes())])
+    return readTextSheets(text, file.getName())
+  }
+
   const tempFile = Drive.Files.copy(
     {
       title: `tmp_${file.getName()}`,
@@ -126,105 +313,54 @@ function extractAgesFromExcel(file) {
   )
 
   const spreadsheet = SpreadsheetApp.openById(tempFile.id)
-  const sheets = spreadsheet.getSheets()
-  let best = { ages: [], sheetName: '' }
-
-  sheets.forEach((sheet) => {
-    const values = sheet.getDataRange().getValues()
-    const ages = []
-    values.forEach((row) => {
-      const age = normalizeAge(row[3])
-      if (age !== null && age >= 0 && age <= 120) {
-        ages.push(age)
-      }
-    })
-    if (ages.length > best.ages.length) {
-      best = { ages, sheetName: sheet.getName() }
-    }
-  })
-
+  const sheets = spreadsheet.getSheets().map((sheet) => ({
+    name: sheet.getName(),
+    rows: sheet.getDataRange().getValues(),
+  }))
   DriveApp.getFileById(tempFile.id).setTrashed(true)
-  return best.ages
+  return sheets
 }
 
-function normalizeAge(value) {
-  if (value === null || value === undefined) return null
-  if (typeof value === 'number' && isFinite(value)) {
-    return Math.floor(value)
+function extractAgesFromFile(file, dateLabel) {
+  const sheets = readFileSheets(file)
+  const source = detectAgeSource(sheets, dateLabel)
+  if (!source) return { ages: [], droppedCount: 0, patients: null, records: [] }
+  const sheet = sheets.find((item) => item.name === source.sheetName)
+  const { ages, unparsed } = extractColumnAges(sheet.rows, source, dateLabel)
+  const patients =
+    source.idColumn === -1 ? null : extractColumnPatients(sheet.rows, source, dateLabel)
+
+  const headerNote = source.header ? `, "${source.header}"` : ''
+  Logger.log(
+    `${file.getName()}: ${source.sheetName} / ${columnLabel(source.column)} ` +
+      `(${source.method}${headerNote}), ${ages.length} ages`,
+  )
+  if (unparsed.length) {
+    Logger.log(
+      `${file.getName()}: ${unparsed.length} age cells could not be parsed (${unparsed
+        .slice(0, 5)
+        .map((cell) => `row ${cell.row} "${cell.value}"`)
+        .join(', ')})`,
+    )
   }
-  if (typeof value === 'string') {
-    const trimmed = value.trim()
-    if (!trimmed) return null
-    const match = trimmed.match(/(\d+(\.\d+)?)/)
-    if (!match) return null
-    const parsed = Number(match[1])
-    if (!isFinite(parsed)) return null
-    return Math.floor(parsed)
+  if (CONFIG.countUniquePatients && !patients) {
+    Logger.log(`${file.getName()}: no 차트번호/환자번호 column, unique patients not counted`)
+  }
+  return {
+    ages,
+    droppedCount: unparsed.filter((cell) => cell.reason === 'range').length,
+    patients,
+    records: extractColumnDimensions(sheet.rows, source, dateLabel),
   }
-  return null
-}
-
-function buildCounts(ages) {
-  const groups = AGE_GROUPS.map((group) => ({
-    id: group.id,
-    label: group.label,
-    range: group.range,
-    count: 0,
-    children: (group.children || []).map((child) => ({
-      id: child.id,
-      label: child.label,
-      range: child.range,
-      count: 0,
-    })),
-  }))
-
-  ages.forEach((age) => {
-    groups.forEach((group) => {
-      if (age >= group.range[0] && age <= group.range[1]) {
-        group.count += 1
-        group.children.forEach((child) => {
-          if (age >= child.range[0] && age <= child.range[1]) {
-            child.count += 1
-          }
-        })
-      }
-    })
-  })
-
-  return groups
-}
-
-function combineCounts(visitCounts, feverCounts) {
-  return visitCounts.map((group) => {
-    const feverGroup = feverCounts.find((item) => item.id === group.id) || {
-      count: 0,
-      children: [],
-    }
-
-    return {
-      id: group.id,
-      label: group.label,
-      totalCount: group.count,
-      feverCount: feverGroup.count || 0,
-      children: group.children.map((child) => {
-        const feverChild = feverGroup.children?.find((item) => item.id === child.id) || {}
-        return {
-          id: child.id,
-          label: child.label,
-          totalCount: child.count,
-          feverCount: feverChild.count || 0,
-        }
-      }),
-    }
-  })
 }
 
-function upsertReportRow(result) {
+// `reason` goes to the revision entry when the week changes (see applyRevision).
+function upsertReportRow(result, reason) {
   const spreadsheet = SpreadsheetApp.openById(CONFIG.reportSpreadsheetId)
   const sheet = getOrCreateSheet(spreadsheet)
 
   const data = sheet.getDataRange().getValues()
-  const headerRow = data[0] || CONFIG.headers
+  const headerRow = (data[0] || CONFIG.headers).map((header) => String(header).trim())
   if (!data.length) {
     sheet.appendRow(CONFIG.headers)
   } else if (headerRow.join('|') !== CONFIG.headers.join('|')) {
@@ -234,21 +370,32 @@ function upsertReportRow(result) {
   const weekStartIndex = CONFIG.headers.indexOf('week_start')
   let targetRow = -1
   for (let i = 1; i < data.length; i += 1) {
-    if (data[i][weekStartIndex] === result.weekStart) {
+    if (normalizeSheetDate(data[i][weekStartIndex]) === result.weekStart) {
       targetRow = i + 1
       break
     }
   }
 
+  const previous = targetRow === -1 ? null : readStoredRow(headerRow, data[targetRow - 1])
+  const row = applyRevision(previous, result, reason)
   const rowValues = [
-    result.weekStart,
-    result.weekEnd,
-    result.totalVisit,
-    result.totalFever,
-    result.overallRatio,
-    JSON.stringify(result.combinedGroups),
-    JSON.stringify(result.missingDays),
-    result.createdAt,
+    row.weekStart,
+    row.weekEnd,
+    row.totalVisit,
+    row.totalFever,
+    row.overallRatio,
+    JSON.stringify(row.groups),
+    JSON.stringify(row.missingDays),
+    row.createdAt,
+    row.schemeId,
+    JSON.stringify(row.ageHistogram),
+    JSON.stringify(row.daily),
+    row.source,
+    row.revisedAt,
+    JSON.stringify(row.revisions),
+    JSON.stringify(row.quality),
+    row.unique ? JSON.stringify(row.unique) : '',
+    JSON.stringify(row.dimensions),
   ]
 
   if (targetRow === -1) {
@@ -258,6 +405,62 @@ function upsertReportRow(result) {
   }
 }
 
+// `{ [weekStart]: storedRow }` for the rows already in the report sheet.
+function readStoredWeeks() {
+  const spreadsheet = SpreadsheetApp.openById(CONFIG.reportSpreadsheetId)
+  const data = getOrCreateSheet(spreadsheet).getDataRange().getValues()
+  if (data.length < 2) return {}
+
+  const headerRow = data[0].map((header) => String(header).trim())
+  return data.slice(1).reduce((acc, row) => {
+    const stored = readStoredRow(headerRow, row)
+    if (stored.weekStart) acc[stored.weekStart] = stored
+    return acc
+  }, {})
+}
+
+// The fields of a stored row that the backfill, the recheck, the revision
+// history and the data-quality baseline need. Rows from before the `source`
+// column count as Drive rows.
+function readStoredRow(headerRow, row) {
+  const getCell = (key) => row[headerRow.indexOf(key)]
+  const parseJson = (value, fallback) => {
+    try {
+      return value ? JSON.parse(value) : fallback
+    } catch (error) {
+      return fallback
+    }
+  }
+  const missingDaysCell = getCell('missing_days')
+  const missingDays = String(missingDaysCell || '').startsWith('[')
+    ? parseJson(missingDaysCell, [])
+    : String(missingDaysCell || '')
+        .split(',')
+        .map((day) => day.trim())
+        .filter(Boolean)
+
+  return {
+    weekStart: normalizeSheetDate(getCell('week_start')),
+    source: String(getCell('source') || '').trim() || DRIVE_SOURCE,
+    totalVisit: Number(getCell('total_visit')) || 0,
+    totalFever: Number(getCell('total_fever')) || 0,
+    overallRatio: Number(getCell('overall_ratio')) || 0,
+    missingDays,
+    daily: parseJson(getCell('daily_json'), []),
+    revisedAt: normalizeSheetDate(getCell('revised_at'), true),
+    revisions: parseJson(getCell('revisions_json'), []),
+  }
+}
+
+// Sheets turns `YYYY-MM-DD` strings into date cells, which getValues() returns
+// as Date objects.
+function normalizeSheetDate(value, withTime) {
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    return withTime ? formatTimestamp(value) : formatDate(value)
+  }
+  return String(value || '').trim()
+}
+
 function getOrCreateSheet(spreadsheet) {
   const existing = spreadsheet.getSheetByName(CONFIG.reportSheetName)
   if (existing) return existing
@@ -270,6 +473,15 @@ function findFileByName(folderId, fileName) {
   return files.hasNext() ? files.next() : null
 }
 
+function findDayFile(dateLabel, kind) {
+  for (const extension of SPREADSHEET_EXTENSIONS) {
+    const fileName = `${dateLabel}_${CONFIG.fileSuffix[kind]}.${extension}`
+    const file = findFileByName(CONFIG.folderId, fileName)
+    if (file) return file
+  }
+  return null
+}
+
 function formatDate(date) {
   return Utilities.formatDate(date, CONFIG.timezone, 'yyyy-MM-dd')
 }
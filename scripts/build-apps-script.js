@@ -0,0 +1,64 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const OUTPUT_PATH = 'scripts/apps-script/shared.gs'
+const SOURCE_MODULES = [
+  'src/lib/dates.js',
+  'src/lib/ageParsing.js',
+  'src/lib/ageGroupSchemes.js',
+  'src/lib/dimensions.js',
+  'src/lib/aggregation.js',
+  'src/lib/columnDetection.js',
+  'src/lib/revisions.js',
+  'src/lib/dataQuality.js',
+  'src/lib/spreadsheetFormats.js',
+]
+
+const HEADER = [
+  '// Generated by scripts/build-apps-script.js. Do not edit by hand.',
+  '// Sources: ' + SOURCE_MODULES.join(', '),
+  '',
+].join('\n')
+
+const toAppsScript = (source) => {
+  return source
+    .replace(/^import [^\n]*\n/gm, '')
+    .replace(/^export (const|let|function|class) /gm, '$1 ')
+    .trim()
+}
+
+const buildBundle = async () => {
+  const parts = await Promise.all(
+    SOURCE_MODULES.map(async (modulePath) => {
+      const source = await readFile(path.join(ROOT_DIR, modulePath), 'utf8')
+      return `// ---- ${modulePath} ----\n\n${toAppsScript(source)}\n`
+    }),
+  )
+  return `${HEADER}\n${parts.join('\n')}`
+}
+
+const main = async () => {
+  const bundle = await buildBundle()
+  const outputFile = path.join(ROOT_DIR, OUTPUT_PATH)
+
+  if (process.argv.includes('--check')) {
+    const current = await readFile(outputFile, 'utf8').catch(() => '')
+    if (current !== bundle) {
+      console.error(`${OUTPUT_PATH} is out of date. Run \`npm run build:gas\`.`)
+      process.exitCode = 1
+      return
+    }
+    console.log(`${OUTPUT_PATH} is up to date.`)
+    return
+  }
+
+  await writeFile(outputFile, bundle)
+  console.log(`Wrote ${OUTPUT_PATH}`)
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
@@ -0,0 +1,74 @@
+import { loadEnv } from 'vite'
+import { handleSessionRequest } from '../api/_lib/auth.js'
+import { handleReportsRequest } from '../api/_lib/reports.js'
+
+// Serves the `/api/reports` and `/api/session` handlers from the Vite dev and
+// preview servers so the app runs without `vercel dev`, e.g. offline with
+// `REPORTS_STORAGE=file`.
+
+const REPORTS_ROUTE_REGEX = /^\/api\/reports(?:\/([^/]+))?\/?$/
+const SESSION_ROUTE_REGEX = /^\/api\/session\/?$/
+
+const readBody = (request) => {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    request.on('data', (chunk) => chunks.push(chunk))
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+    request.on('error', reject)
+  })
+}
+
+// Adds the Vercel-style helpers the handlers use to a Node response.
+const withResponseHelpers = (response) => {
+  response.status = (code) => {
+    response.statusCode = code
+    return response
+  }
+  response.json = (payload) => {
+    response.setHeader('Content-Type', 'application/json; charset=utf-8')
+    response.end(JSON.stringify(payload))
+  }
+  response.send = (body) => response.end(body)
+  return response
+}
+
+const apiMiddleware = async (request, response, next) => {
+  const url = new URL(request.url, 'http://localhost')
+  const reportsMatch = url.pathname.match(REPORTS_ROUTE_REGEX)
+  const isSession = SESSION_ROUTE_REGEX.test(url.pathname)
+  if (!reportsMatch && !isSession) {
+    next()
+    return
+  }
+
+  try {
+    request.query = Object.fromEntries(url.searchParams)
+    request.body = await readBody(request)
+    if (isSession) {
+      await handleSessionRequest(request, withResponseHelpers(response))
+      return
+    }
+    const weekStart = reportsMatch[1] ? decodeURIComponent(reportsMatch[1]) : null
+    await handleReportsRequest(request, withResponseHelpers(response), { weekStart })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const reportsApi = () => ({
+  name: 'reports-api',
+  config(_, { mode }) {
+    // Non-VITE_ variables from .env files (REPORTS_STORAGE, GOOGLE_*, ...) are
+    // meant for the API; shell variables still take precedence.
+    const env = loadEnv(mode, process.cwd(), '')
+    Object.keys(env).forEach((key) => {
+      if (process.env[key] === undefined) process.env[key] = env[key]
+    })
+  },
+  configureServer(server) {
+    server.middlewares.use(apiMiddleware)
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(apiMiddleware)
+  },
+})
@@ -0,0 +1,26 @@
+import crypto from 'node:crypto'
+import { readFileSync } from 'node:fs'
+
+// Writes `sw.js` into the build from src/serviceWorker.js, filling in the
+// built file names so the worker can precache them at install. The version
+// comes from those (content-hashed) names, so every build that changes a file
+// installs a new worker and cache.
+
+const TEMPLATE_URL = new URL('../src/serviceWorker.js', import.meta.url)
+
+export const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const assets = Object.keys(bundle)
+      .filter((fileName) => fileName !== 'index.html' && !fileName.endsWith('.map'))
+      .map((fileName) => `/${fileName}`)
+      .sort()
+    const version = crypto.createHash('sha1').update(assets.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync(TEMPLATE_URL, 'utf8')
+      .replace(/^\/\* global .*\*\/\n/, '')
+      .replace('__BUILD_ASSETS__', JSON.stringify(assets))
+      .replace('__BUILD_VERSION__', JSON.stringify(version))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
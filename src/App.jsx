@@ -3,180 +3,145 @@ import {
   Calendar,
   ChartColumn,
   CircleAlert,
+  Download,
   FileSpreadsheet,
+  LogOut,
+  Printer,
+  Save,
+  Trash2,
   UploadCloud,
+  UserRound,
+  WifiOff,
+  X,
 } from 'lucide-react'
 import { Bar, BarChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
-import * as XLSX from 'xlsx'
+import {
+  AGE_GROUP_SCHEMES,
+  DEFAULT_SCHEME_ID,
+  getAgeGroupScheme,
+} from './lib/ageGroupSchemes.js'
+import {
+  buildAgeHistogram,
+  buildDailyBreakdown,
+  buildDimensionBreakdowns,
+  calculateRatio,
+  hasPatientIds,
+  resolveReportGroups,
+  resolveUniqueSummary,
+  summarizeAges,
+  summarizeUniquePatients,
+} from './lib/aggregation.js'
+import { columnLabel } from './lib/columnDetection.js'
+import { compareWeeks, findPreviousWeek, findSameWeekLastYear } from './lib/comparison.js'
+import { checkDataQuality, describeQualityIssue } from './lib/dataQuality.js'
+import { addDays, getWeekStart, parseDateLabel } from './lib/dates.js'
+import { DIMENSIONS } from './lib/dimensions.js'
+import { downloadSubmissionWorkbook } from './lib/exportWorkbook.js'
+import { expandDroppedFiles, normalizeFileName } from './lib/fileClassification.js'
+import { ParseCancelledError, createParserPool } from './lib/parserPool.js'
+import { formatPercent, formatTimestamp, formatWeekLabel } from './lib/format.js'
+import {
+  clearCachedReports,
+  deleteUploadSession,
+  listUploadSessions,
+  loadCachedReports,
+  renameUploadSession,
+  restoreSessionFile,
+  saveCachedReports,
+  saveUploadSession,
+} from './lib/offlineStore.js'
+import { SPREADSHEET_EXTENSIONS } from './lib/spreadsheetFormats.js'
+import { evaluateThresholds, mergeThresholdConfig } from './lib/thresholds.js'
+import ComparisonChange from './components/ComparisonChange.jsx'
+import DailyBreakdown from './components/DailyBreakdown.jsx'
+import DimensionBreakdown from './components/DimensionBreakdown.jsx'
+import PrintReport from './components/PrintReport.jsx'
+import RevisionHistory from './components/RevisionHistory.jsx'
+import SignInPanel from './components/SignInPanel.jsx'
+import TrendDashboard from './components/TrendDashboard.jsx'
+import UploadSessions from './components/UploadSessions.jsx'
 import './App.css'
 
-const AGE_GROUPS = [
-  {
-    id: '0-6',
-    label: '0-6세',
-    range: [0, 6],
-    children: [
-      { id: '0', label: '0세', range: [0, 0] },
-      { id: '1-6', label: '1-6세', range: [1, 6] },
-    ],
-  },
-  {
-    id: '7-18',
-    label: '7-18세',
-    range: [7, 18],
-    children: [
-      { id: '7-12', label: '7-12세', range: [7, 12] },
-      { id: '13-18', label: '13-18세', range: [13, 18] },
-    ],
-  },
-  { id: '19-49', label: '19-49세', range: [19, 49] },
-  { id: '50-64', label: '50-64세', range: [50, 64] },
-  { id: '65+', label: '65세 이상', range: [65, 120] },
-]
-
-const TARGET_COLUMN_INDEX = 3
-const TARGET_COLUMN_LABEL = 'D열'
 const REPORTS_ENDPOINT = import.meta.env.VITE_REPORTS_ENDPOINT || '/api/reports'
+// Sign-in lives next to the reports API; its session cookie is only sent to
+// the same origin.
+const SESSION_ENDPOINT = REPORTS_ENDPOINT.replace(/\/reports\/?$/, '/session')
+const ROLE_LABELS = {
+  viewer: '조회 권한',
+  editor: '편집 권한',
+}
 const MAX_FILE_LIST = 6
+// Leaves a core for the page itself.
+const PARSE_WORKER_COUNT = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))
+const UPLOAD_ACCEPT = [...SPREADSHEET_EXTENSIONS, 'zip']
+  .map((extension) => `.${extension}`)
+  .join(',')
+const sortReportsByWeek = (reports) =>
+  [...reports].sort((a, b) => String(b.weekStart).localeCompare(String(a.weekStart)))
 
-const buildFileRegex = (suffix) => {
-  return new RegExp(`^(\\d{4}-\\d{2}-\\d{2})_${suffix}\\.(xlsx|xls)$`, 'i')
+const postWeeklyReport = async (payload) => {
+  const response = await fetch(REPORTS_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  })
+  const data = await response.json().catch(() => ({}))
+  return { status: response.status, ok: response.ok, data }
 }
 
-const parseDateString = (value) => {
-  if (!value) return null
-  const [year, month, day] = value.split('-').map(Number)
-  if (!year || !month || !day) return null
-  const date = new Date(year, month - 1, day)
-  if (
-    date.getFullYear() !== year ||
-    date.getMonth() !== month - 1 ||
-    date.getDate() !== day
-  ) {
-    return null
-  }
-  return date
+const requestSession = async (method, payload) => {
+  const response = await fetch(SESSION_ENDPOINT, {
+    method,
+    cache: 'no-store',
+    headers: payload ? { 'Content-Type': 'application/json' } : undefined,
+    body: payload ? JSON.stringify(payload) : undefined,
+  })
+  const data = await response.json().catch(() => ({}))
+  return { status: response.status, ok: response.ok, data }
 }
 
-const formatDate = (date) => {
-  const year = date.getFullYear()
-  const month = String(date.getMonth() + 1).padStart(2, '0')
-  const day = String(date.getDate()).padStart(2, '0')
-  return `${year}-${month}-${day}`
-}
+const PRINT_META_STORAGE_KEY = 'patient-report:print-meta'
 
-const getWeekStartMonday = (date) => {
-  const day = date.getDay()
-  const diffToMonday = (day + 6) % 7
-  const monday = new Date(date)
-  monday.setDate(date.getDate() - diffToMonday)
-  return monday
-}
-
-const buildExpectedWeekDates = (monday) => {
-  const dates = []
-  for (let offset = 0; offset <= 5; offset += 1) {
-    const date = new Date(monday)
-    date.setDate(monday.getDate() + offset)
-    dates.push(formatDate(date))
+const loadPrintMeta = () => {
+  const defaults = { clinicName: import.meta.env.VITE_CLINIC_NAME || '', author: '' }
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PRINT_META_STORAGE_KEY) || 'null')
+    return stored ? { ...defaults, ...stored } : defaults
+  } catch (error) {
+    return defaults
   }
-  return dates
 }
 
-const normalizeAge = (value) => {
-  if (value === null || value === undefined) return null
-  if (typeof value === 'number' && Number.isFinite(value)) {
-    return Math.floor(value)
-  }
-  if (typeof value === 'string') {
-    const trimmed = value.trim()
-    if (!trimmed) return null
-    const match = trimmed.match(/(\\d+(\\.\\d+)?)/)
-    if (!match) return null
-    const parsed = Number(match[1])
-    if (!Number.isFinite(parsed)) return null
-    return Math.floor(parsed)
-  }
-  return null
+const SOURCE_METHOD_LABELS = {
+  header: '헤더 인식',
+  content: '내용 기준',
+  manual: '직접 지정',
 }
 
-const findAgesInWorkbook = (workbook) => {
-  let best = { ages: [], sheetName: '', count: 0 }
-  workbook.SheetNames.forEach((sheetName) => {
-    const sheet = workbook.Sheets[sheetName]
-    const rows = XLSX.utils.sheet_to_json(sheet, {
-      header: 1,
-      raw: true,
-      defval: null,
-    })
-    const ages = []
-    rows.forEach((row) => {
-      const age = normalizeAge(row?.[TARGET_COLUMN_INDEX])
-      if (age !== null && age >= 0 && age <= 120) {
-        ages.push(age)
-      }
-    })
-    if (ages.length > best.count) {
-      best = { ages, sheetName, count: ages.length }
-    }
-  })
-  return best
-}
+const MAX_UNPARSED_EXAMPLES = 3
 
-const buildCounts = (ages) => {
-  const groups = AGE_GROUPS.map((group) => ({
-    ...group,
-    count: 0,
-    children: (group.children || []).map((child) => ({ ...child, count: 0 })),
-  }))
+// Ages outside the valid range are reported by the data-quality checks.
+const getUnreadableCells = (file) => (file.unparsed || []).filter((cell) => cell.reason !== 'range')
 
-  ages.forEach((age) => {
-    groups.forEach((group) => {
-      if (age >= group.range[0] && age <= group.range[1]) {
-        group.count += 1
-        group.children.forEach((child) => {
-          if (age >= child.range[0] && age <= child.range[1]) {
-            child.count += 1
-          }
-        })
-      }
-    })
-  })
-
-  return groups
-}
-
-const combineCounts = (visitCounts, feverCounts) => {
-  return visitCounts.map((group) => {
-    const feverGroup = feverCounts.find((item) => item.id === group.id) || {
-      count: 0,
-      children: [],
-    }
-
-    return {
-      ...group,
-      totalCount: group.count,
-      feverCount: feverGroup.count || 0,
-      children: group.children.map((child) => {
-        const feverChild = feverGroup.children?.find((item) => item.id === child.id) || {}
-        return {
-          ...child,
-          totalCount: child.count,
-          feverCount: feverChild.count || 0,
-        }
-      }),
-    }
-  })
+// Files restored from a saved session have no cell values to show.
+const formatUnparsedCells = (file) => {
+  const cells = getUnreadableCells(file)
+  const examples = cells
+    .filter((cell) => cell.value !== undefined)
+    .slice(0, MAX_UNPARSED_EXAMPLES)
+    .map((cell) => `${cell.row}행 "${cell.value}"`)
+    .join(', ')
+  return examples
+    ? `${file.name} ${cells.length}건 (${examples})`
+    : `${file.name} ${cells.length}건`
 }
 
-const formatPercent = (value) => `${value.toFixed(1)}%`
-const formatWeekLabel = (report) => `${report.weekStart} ~ ${report.weekEnd}`
-
 const buildUploadWarnings = (files, weekCheck) => {
   const warnings = []
   const invalidNameFiles = files.filter((file) => file.nameIssue === 'pattern')
   const invalidDateFiles = files.filter((file) => file.nameIssue === 'date')
   const readErrors = files.filter((file) => file.error)
+  const unparsedFiles = files.filter((file) => getUnreadableCells(file).length)
   const dateCounts = files.reduce((acc, file) => {
     if (!file.dateString || file.nameIssue) return acc
     acc.set(file.dateString, (acc.get(file.dateString) || 0) + 1)
@@ -208,6 +173,14 @@ const buildUploadWarnings = (files, weekCheck) => {
     )
   }
 
+  if (unparsedFiles.length) {
+    warnings.push(
+      `해석하지 못한 나이 값(집계 제외): ${unparsedFiles
+        .map((file) => formatUnparsedCells(file))
+        .join(' / ')}`,
+    )
+  }
+
   if (duplicateDates.length) {
     warnings.push(
       `같은 날짜 파일이 여러 개 있습니다: ${duplicateDates
@@ -232,29 +205,222 @@ const buildUploadWarnings = (files, weekCheck) => {
   return warnings
 }
 
+const getValidFileDates = (files) => {
+  return files.filter((file) => file.dateString && !file.nameIssue).map((file) => file.dateString)
+}
+
+// Checks across the visit and fever uploads; `history` is the stored weeks.
+const buildUploadQuality = (visitFiles, feverFiles, daily, missingDays, history) => {
+  const droppedAges = [
+    ...visitFiles.map((file) => ({ file, kind: 'visit' })),
+    ...feverFiles.map((file) => ({ file, kind: 'fever' })),
+  ]
+    .filter(({ file }) => file.dateString && !file.nameIssue)
+    .map(({ file, kind }) => ({
+      date: file.dateString,
+      kind,
+      count: (file.unparsed || []).filter((cell) => cell.reason === 'range').length,
+    }))
+  return checkDataQuality({
+    daily,
+    missingDays,
+    fileDates: { visit: getValidFileDates(visitFiles), fever: getValidFileDates(feverFiles) },
+    droppedAges,
+    history,
+  })
+}
+
+const QualityNotes = ({ issues }) => {
+  if (!issues?.length) return null
+  return (
+    <div className="quality-notes">
+      <strong>
+        <CircleAlert size={16} />
+        데이터 점검 {issues.length}건
+      </strong>
+      <ul>
+        {issues.map((issue, index) => (
+          <li key={`${issue.type}-${issue.date}-${index}`}>{describeQualityIssue(issue)}</li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
 const analyzeWeekDates = (dateStrings) => {
   const uniqueDates = Array.from(new Set(dateStrings))
   if (!uniqueDates.length) return null
 
-  const parsedDates = uniqueDates.map((value) => parseDateString(value)).filter(Boolean)
-  if (!parsedDates.length) return null
+  const validDates = uniqueDates.filter((value) => parseDateLabel(value)).sort()
+  if (!validDates.length) return null
 
-  parsedDates.sort((a, b) => a - b)
-  const weekStart = getWeekStartMonday(parsedDates[0])
-  const expectedDates = buildExpectedWeekDates(weekStart)
+  const weekStart = getWeekStart(validDates[0])
+  const expectedDates = Array.from({ length: 6 }, (_, index) => addDays(weekStart, index))
   const expectedSet = new Set(expectedDates)
 
   const missingDays = expectedDates.filter((value) => !uniqueDates.includes(value))
   const outOfRange = uniqueDates.filter((value) => !expectedSet.has(value))
 
   return {
-    weekStart: formatDate(weekStart),
-    weekEnd: formatDate(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 5)),
+    weekStart,
+    weekEnd: expectedDates[5],
     missingDays,
     outOfRange: outOfRange.sort(),
   }
 }
 
+// Entry for a file whose parser worker failed (not for unreadable files, which
+// `parseUploadFile` reports itself).
+const buildFailedUpload = (file, message) => ({
+  name: normalizeFileName(file.name),
+  file,
+  kind: null,
+  kindSource: '',
+  dateString: null,
+  nameIssue: 'pattern',
+  ages: [],
+  unparsed: [],
+  patients: null,
+  records: [],
+  error: message,
+  source: '',
+  selection: null,
+  preview: [],
+  sheetOptions: [],
+})
+
+const buildUploadState = (parsedFiles) => {
+  const sortedFiles = [...parsedFiles].sort((a, b) => {
+    const dateA = parseDateLabel(a.dateString) ? a.dateString : null
+    const dateB = parseDateLabel(b.dateString) ? b.dateString : null
+    if (dateA && dateB) {
+      return dateA.localeCompare(dateB)
+    }
+    if (dateA) return -1
+    if (dateB) return 1
+    return a.name.localeCompare(b.name)
+  })
+
+  const validDates = parsedFiles
+    .filter((file) => file.dateString && file.nameIssue !== 'pattern')
+    .map((file) => file.dateString)
+
+  const weekCheck = analyzeWeekDates(validDates)
+  const warnings = buildUploadWarnings(parsedFiles, weekCheck)
+
+  return {
+    files: sortedFiles,
+    ages: parsedFiles.flatMap((file) => file.ages || []),
+    warnings,
+    weekCheck,
+  }
+}
+
+// With `withPatients`, days also get `visitPatients` / `feverPatients`, set to
+// null when a file of that day has no patient id column.
+const groupUploadAgesByDate = (visitFiles, feverFiles, missingDays, withPatients = false) => {
+  const createDay = (date) =>
+    withPatients
+      ? { date, visitAges: [], feverAges: [], visitPatients: [], feverPatients: [] }
+      : { date, visitAges: [], feverAges: [] }
+  const days = new Map(missingDays.map((date) => [date, createDay(date)]))
+  const addFiles = (files, kind) => {
+    files.forEach((file) => {
+      if (!file.dateString || file.nameIssue) return
+      const day = days.get(file.dateString) || createDay(file.dateString)
+      day[`${kind}Ages`] = day[`${kind}Ages`].concat(file.ages || [])
+      if (withPatients) {
+        const patientsKey = `${kind}Patients`
+        day[patientsKey] =
+          day[patientsKey] && file.patients ? day[patientsKey].concat(file.patients) : null
+      }
+      days.set(file.dateString, day)
+    })
+  }
+  addFiles(visitFiles, 'visit')
+  addFiles(feverFiles, 'fever')
+  return Array.from(days.values())
+}
+
+// The week as it is saved. Only files dated inside the upload week count, so
+// the totals, `daily`, unique patients and breakdowns all come from the same
+// files and add up on the server.
+const buildUploadWeekPayload = ({
+  visitFiles,
+  feverFiles,
+  weekStart,
+  missingDays,
+  schemeId,
+  countUnique,
+  dimensionIds,
+}) => {
+  const weekDates = Array.from({ length: 6 }, (_, index) => addDays(weekStart, index))
+  const isInWeek = (file) => !file.nameIssue && weekDates.includes(file.dateString)
+  const weekVisitFiles = visitFiles.filter(isInWeek)
+  const weekFeverFiles = feverFiles.filter(isInWeek)
+  const weekMissingDays = missingDays.filter((date) => weekDates.includes(date))
+  const days = groupUploadAgesByDate(weekVisitFiles, weekFeverFiles, weekMissingDays, countUnique)
+  const visitAges = weekVisitFiles.flatMap((file) => file.ages || [])
+  const feverAges = weekFeverFiles.flatMap((file) => file.ages || [])
+  const unique =
+    countUnique && days.length && hasPatientIds(days)
+      ? summarizeUniquePatients(days, schemeId)
+      : null
+  const dimensions = buildDimensionBreakdowns(
+    weekVisitFiles.flatMap((file) => file.records || []),
+    weekFeverFiles.flatMap((file) => file.records || []),
+    dimensionIds,
+  )
+
+  return {
+    totalVisit: visitAges.length,
+    excludedFiles: [...visitFiles, ...feverFiles]
+      .filter((file) => !isInWeek(file))
+      .map((file) => file.name),
+    payload: {
+      weekStart,
+      weekEnd: weekDates[5],
+      schemeId,
+      ageHistogram: {
+        visit: buildAgeHistogram(visitAges),
+        fever: buildAgeHistogram(feverAges),
+      },
+      missingDays: weekMissingDays,
+      daily: buildDailyBreakdown(days, schemeId),
+      unique: unique ? { ageHistogram: unique.ageHistogram } : null,
+      dimensions: dimensions.map((dimension) => ({
+        id: dimension.id,
+        categories: dimension.categories.map(({ value, ageHistogram }) => ({
+          value,
+          ageHistogram,
+        })),
+      })),
+    },
+  }
+}
+
+const formatUniqueCount = (count) => (Number.isFinite(count) ? ` (실 ${count})` : '')
+
+const THRESHOLD_SOURCE_LABELS = {
+  baseline: '과거 비유행기 기준',
+  fixed: '고정 기준',
+}
+
+const ThresholdBadge = ({ result, showThreshold = false }) => {
+  const thresholdLabel = `유행 기준 ${formatPercent(result.threshold)} (${
+    THRESHOLD_SOURCE_LABELS[result.source]
+  })`
+  return (
+    <span
+      className={`threshold-badge ${result.exceeded ? 'is-exceeded' : ''}`}
+      title={thresholdLabel}
+    >
+      {result.exceeded ? '유행 기준 초과' : '기준 이하'}
+      {showThreshold ? ` · ${thresholdLabel}` : ''}
+    </span>
+  )
+}
+
 const ChartTooltip = ({ active, payload, label }) => {
   if (!active || !payload?.length) return null
   const data = payload[0].payload
@@ -269,8 +435,259 @@ const ChartTooltip = ({ active, payload, label }) => {
   )
 }
 
+const SourcePicker = ({ file, onSourceChange }) => {
+  const { selection } = file
+  const sheetOption = file.sheetOptions.find((sheet) => sheet.name === selection.sheetName)
+  const columnIndexes = Array.from(
+    { length: Math.max(sheetOption?.columnCount || 0, selection.column + 1) },
+    (_, index) => index,
+  )
+
+  return (
+    <details className="upload-card__source">
+      <summary>
+        {file.source} · {SOURCE_METHOD_LABELS[selection.method]}
+      </summary>
+      <div className="upload-card__source-controls">
+        <label>
+          <span>시트</span>
+          <select
+            value={selection.sheetName}
+            onChange={(event) => onSourceChange(file, { sheetName: event.target.value })}
+          >
+            {file.sheetOptions.map((sheet) => (
+              <option key={sheet.name} value={sheet.name}>
+                {sheet.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>나이 열</span>
+          <select
+            value={selection.column}
+            onChange={(event) =>
+              onSourceChange(file, {
+                sheetName: selection.sheetName,
+                column: Number(event.target.value),
+              })
+            }
+          >
+            {columnIndexes.map((index) => (
+              <option key={index} value={index}>
+                {columnLabel(index)}열
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {file.preview.length ? (
+        <ul className="upload-card__preview">
+          {file.preview.map((cell) => (
+            <li key={cell.row}>
+              <span>{cell.row}행</span>
+              <span>{cell.value}</span>
+              <span>{cell.age === null ? '해석 불가' : `${cell.age}세`}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="upload-card__hint">선택한 열에 값이 없습니다.</p>
+      )}
+    </details>
+  )
+}
+
+const KIND_SOURCE_LABELS = {
+  content: '파일 내용으로 분류',
+  manual: '직접 분류',
+}
+
+const UploadDropZone = ({ onFilesDropped }) => {
+  const [isDragging, setIsDragging] = useState(false)
+
+  return (
+    <label
+      className={`drop-zone ${isDragging ? 'is-dragging' : ''}`}
+      onDragOver={(event) => {
+        event.preventDefault()
+        setIsDragging(true)
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={(event) => {
+        event.preventDefault()
+        setIsDragging(false)
+        onFilesDropped(Array.from(event.dataTransfer.files))
+      }}
+    >
+      <input
+        type="file"
+        accept={UPLOAD_ACCEPT}
+        multiple
+        onChange={(event) => {
+          onFilesDropped(Array.from(event.target.files))
+          event.target.value = ''
+        }}
+      />
+      <UploadCloud size={24} />
+      <strong>총환자수·발열환자수 파일을 한꺼번에 끌어다 놓거나 눌러서 선택하세요</strong>
+      <span>
+        여러 엑셀·ODS·CSV 파일이나 .zip 압축 파일을 올릴 수 있습니다. 파일명 끝의 _총환자수 / _발열환자수로
+        나누고, 규칙에 맞지 않는 파일은 내용으로 구분합니다.
+      </span>
+    </label>
+  )
+}
+
+const PARSE_STAGE_LABELS = {
+  queued: '대기',
+  reading: '파일 읽는 중',
+  parsing: '시트 해석 중',
+  extracting: '나이 추출 중',
+  done: '완료',
+}
+
+const ParseProgress = ({ entries, onCancel }) => {
+  const doneCount = entries.filter((entry) => entry.stage === 'done').length
+  return (
+    <div className="parse-progress">
+      <div className="parse-progress__head">
+        <strong>
+          파일 읽는 중 {doneCount}/{entries.length}
+        </strong>
+        <button type="button" className="panel__action" onClick={onCancel}>
+          <X size={16} />
+          취소
+        </button>
+      </div>
+      <progress value={doneCount} max={entries.length} />
+      <ul>
+        {entries.map((entry, index) => (
+          <li key={`${index}-${entry.name}`} className={entry.stage === 'done' ? 'is-done' : ''}>
+            <span>{entry.name}</span>
+            <span>{PARSE_STAGE_LABELS[entry.stage]}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// Entries reopened from a saved session keep their ages but not the file itself.
+const RESTORED_FILE_NOTE = '저장된 세션에서 열림 · 다시 읽으려면 파일을 올리세요'
+
+const UnclassifiedFiles = ({ files, onAssign }) => {
+  if (!files.length) return null
+  return (
+    <div className="unclassified-files">
+      <div className="upload-card__error">
+        <CircleAlert size={16} />
+        구분하지 못한 파일 {files.length}개 · 종류를 직접 지정하세요
+      </div>
+      <ul>
+        {files.map((file) => (
+          <li key={file.name}>
+            <span className="upload-card__file-name">{file.name}</span>
+            {file.error ? <span className="upload-card__file-note">{file.error}</span> : null}
+            {file.file ? (
+              <div>
+                <button type="button" onClick={() => onAssign(file, 'visit')}>
+                  총환자수
+                </button>
+                <button type="button" onClick={() => onAssign(file, 'fever')}>
+                  발열환자수
+                </button>
+              </div>
+            ) : (
+              <span className="upload-card__file-note">{RESTORED_FILE_NOTE}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+const UploadCard = ({ title, description, upload, moveLabel, onMove, onSourceChange }) => {
+  const fileCount = upload.files.length
+
+  return (
+    <div className={`upload-card ${upload.warnings.length ? 'is-error' : ''}`}>
+      <div className="upload-card__top">
+        <FileSpreadsheet size={20} />
+        <div>
+          <strong>{title}</strong>
+          <span>{description}</span>
+        </div>
+      </div>
+      <div className="upload-card__status">
+        <span>{fileCount ? `${fileCount}개 파일` : '분류된 파일 없음'}</span>
+        <span>{upload.ages.length ? `${upload.ages.length}명` : ''}</span>
+      </div>
+      {fileCount ? (
+        <div className="upload-card__list">
+          {upload.files.slice(0, MAX_FILE_LIST).map((file) => (
+            <div
+              key={file.name}
+              className={`upload-card__file ${file.error || file.nameIssue ? 'is-error' : ''}`}
+            >
+              <div>
+                <span className="upload-card__file-name">{file.name}</span>
+                {file.dateString ? (
+                  <span className="upload-card__file-date">{file.dateString}</span>
+                ) : null}
+                {file.nameIssue === 'pattern' ? (
+                  <span className="upload-card__file-note">파일명 규칙 불일치</span>
+                ) : null}
+                {file.nameIssue === 'date' ? (
+                  <span className="upload-card__file-note">날짜 형식 오류</span>
+                ) : null}
+                {file.error ? <span className="upload-card__file-note">{file.error}</span> : null}
+                {KIND_SOURCE_LABELS[file.kindSource] ? (
+                  <span className="upload-card__file-date">
+                    {KIND_SOURCE_LABELS[file.kindSource]}
+                  </span>
+                ) : null}
+                {file.unparsed?.length ? (
+                  <span className="upload-card__file-note">
+                    해석 불가 나이 {file.unparsed.length}건
+                  </span>
+                ) : null}
+                {file.selection && file.file ? (
+                  <SourcePicker file={file} onSourceChange={onSourceChange} />
+                ) : null}
+                {file.file ? (
+                  <button type="button" className="upload-card__move" onClick={() => onMove(file)}>
+                    {moveLabel}
+                  </button>
+                ) : (
+                  <span className="upload-card__file-date">
+                    {file.source ? `${file.source} · ` : ''}
+                    {RESTORED_FILE_NOTE}
+                  </span>
+                )}
+              </div>
+              <span>{file.ages.length ? `${file.ages.length}명` : '0명'}</span>
+            </div>
+          ))}
+          {fileCount > MAX_FILE_LIST ? (
+            <div className="upload-card__more">외 {fileCount - MAX_FILE_LIST}개 파일</div>
+          ) : null}
+        </div>
+      ) : null}
+      {upload.warnings.map((warning, index) => (
+        <div key={`${warning}-${index}`} className="upload-card__warning">
+          <CircleAlert size={14} />
+          <span>{warning}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
 function App() {
   const [viewMode, setViewMode] = useState('weekly')
+  const [schemeId, setSchemeId] = useState(DEFAULT_SCHEME_ID)
   const [reportDate, setReportDate] = useState(() => {
     return new Date().toISOString().slice(0, 10)
   })
@@ -280,25 +697,68 @@ function App() {
   const [selectedWeek, setSelectedWeek] = useState('')
   const [isLoading, setIsLoading] = useState(true)
   const [loadError, setLoadError] = useState('')
+  const [thresholdConfig, setThresholdConfig] = useState(() => mergeThresholdConfig(null))
+  const [printPreview, setPrintPreview] = useState(null)
+  const [printMeta, setPrintMeta] = useState(loadPrintMeta)
+  const [saveStatus, setSaveStatus] = useState(null)
+  const [countUnique, setCountUnique] = useState(false)
+  const [dimensionIds, setDimensionIds] = useState([])
+  const [comparisonWeek, setComparisonWeek] = useState('')
+  const [unclassifiedFiles, setUnclassifiedFiles] = useState([])
+  const [ignoredFiles, setIgnoredFiles] = useState([])
+  const [parseProgress, setParseProgress] = useState(null)
+  const [parserPool] = useState(() => createParserPool(PARSE_WORKER_COUNT))
+  const [offlineSavedAt, setOfflineSavedAt] = useState('')
+  const [uploadSessions, setUploadSessions] = useState([])
+  const [activeSessionId, setActiveSessionId] = useState(null)
+  const [session, setSession] = useState(null)
+  const [signInRequired, setSignInRequired] = useState(false)
+
+  useEffect(() => () => parserPool.cancel(), [parserPool])
 
   useEffect(() => {
+    if (signInRequired) return
     let isMounted = true
 
+    const applyReports = (data) => {
+      const weeks = Array.isArray(data.weeks) ? data.weeks : []
+      setReports(weeks)
+      setThresholdConfig(mergeThresholdConfig(data.thresholdConfig))
+      setSelectedWeek((previous) => previous || (weeks[0]?.weekStart ?? ''))
+    }
+
     const loadReports = async () => {
       setIsLoading(true)
       setLoadError('')
       try {
-        const response = await fetch(REPORTS_ENDPOINT, { cache: 'no-store' })
+        const sessionResult = await requestSession('GET')
+        if (!isMounted) return
+        if (sessionResult.status === 401) {
+          setSignInRequired(true)
+          return
+        }
+        if (sessionResult.ok) setSession(sessionResult.data)
+        const response = await fetch(REPORTS_ENDPOINT, { cache: 'no-cache' })
+        if (response.status === 401) {
+          if (isMounted) setSignInRequired(true)
+          return
+        }
         if (!response.ok) {
           throw new Error('보고서 데이터를 불러오지 못했습니다.')
         }
         const data = await response.json()
-        const weeks = Array.isArray(data.weeks) ? data.weeks : []
         if (!isMounted) return
-        setReports(weeks)
-        setSelectedWeek((previous) => previous || (weeks[0]?.weekStart ?? ''))
+        applyReports(data)
+        setOfflineSavedAt('')
+        saveCachedReports(data).catch(() => {})
       } catch (error) {
-        if (isMounted) {
+        // Offline or server down: fall back to the last response kept in IndexedDB.
+        const cached = await loadCachedReports().catch(() => null)
+        if (!isMounted) return
+        if (cached) {
+          applyReports(cached.data)
+          setOfflineSavedAt(cached.savedAt)
+        } else {
           setLoadError(error.message || '보고서 데이터를 불러오지 못했습니다.')
         }
       } finally {
@@ -313,81 +773,169 @@ function App() {
     return () => {
       isMounted = false
     }
+  }, [signInRequired])
+
+  useEffect(() => {
+    listUploadSessions()
+      .then(setUploadSessions)
+      .catch(() => {})
   }, [])
 
-  const handleUploadFiles = async (fileList, type, setter) => {
-    const files = Array.from(fileList || [])
-    if (!files.length) return
+  // Every change to the files of an open session is written back to IndexedDB.
+  useEffect(() => {
+    const files = [...visitUpload.files, ...feverUpload.files, ...unclassifiedFiles]
+    if (!activeSessionId || !files.length) return
+    const weekCheck = visitUpload.weekCheck || feverUpload.weekCheck
+    saveUploadSession({
+      id: activeSessionId,
+      name: weekCheck ? formatWeekLabel(weekCheck) : `업로드 ${formatTimestamp(new Date())}`,
+      reportDate,
+      dimensionIds,
+      files,
+    })
+      .then(listUploadSessions)
+      .then(setUploadSessions)
+      .catch(() => {})
+  }, [activeSessionId, visitUpload, feverUpload, unclassifiedFiles, reportDate, dimensionIds])
 
-    const suffix = type === 'visit' ? '총환자수' : '발열환자수'
-    const regex = buildFileRegex(suffix)
+  // Files replace earlier ones with the same name, whichever list those are in.
+  const placeUploadFiles = (parsedFiles) => {
+    const names = new Set(parsedFiles.map((file) => file.name))
+    const place = (kind) => (previous) =>
+      buildUploadState(
+        previous.files
+          .filter((file) => !names.has(file.name))
+          .concat(parsedFiles.filter((file) => file.kind === kind)),
+      )
+    setVisitUpload(place('visit'))
+    setFeverUpload(place('fever'))
+    setUnclassifiedFiles((previous) =>
+      previous
+        .filter((file) => !names.has(file.name))
+        .concat(parsedFiles.filter((file) => !file.kind)),
+    )
+    setActiveSessionId((previous) => previous || crypto.randomUUID())
+    setSaveStatus(null)
+  }
 
-    const parsedFiles = await Promise.all(
-      files.map(async (file) => {
-        let dateString = null
-        let nameIssue = ''
-        const match = file.name.match(regex)
-        if (match) {
-          dateString = match[1]
-          const parsedDate = parseDateString(dateString)
-          if (!parsedDate) {
-            nameIssue = 'date'
-          }
-        } else {
-          nameIssue = 'pattern'
-        }
+  // Resolves with the upload entry, or null when the parse was cancelled.
+  const parseFile = async (file, kind, override = null, onStage) => {
+    try {
+      const request = { file, kind, fallbackDate: reportDate, override }
+      return { ...(await parserPool.parse(request, onStage)), file }
+    } catch (error) {
+      if (error instanceof ParseCancelledError) return null
+      return buildFailedUpload(file, error.message)
+    }
+  }
 
-        let ages = []
-        let error = ''
-        let source = ''
-        try {
-          const arrayBuffer = await file.arrayBuffer()
-          const workbook = XLSX.read(arrayBuffer, { type: 'array' })
-          const result = findAgesInWorkbook(workbook)
-          ages = result.ages || []
-          source = result.sheetName ? `${result.sheetName} / ${TARGET_COLUMN_LABEL}` : ''
-          if (!ages.length) {
-            error = `D열에서 0~120 사이 숫자 나이 데이터를 찾지 못했습니다.`
-          }
-        } catch (fileError) {
-          error = '엑셀 파일을 읽지 못했습니다.'
-        }
+  const updateParseStage = (index, stage) => {
+    setParseProgress((previous) =>
+      previous?.map((entry, position) => (position === index ? { ...entry, stage } : entry)),
+    )
+  }
 
-        return {
-          name: file.name,
-          dateString,
-          nameIssue,
-          ages,
-          error,
-          source,
-        }
+  // A cancelled drop adds none of its files.
+  const handleDroppedFiles = async (files) => {
+    if (!files.length) return
+    const { spreadsheets, ignored } = await expandDroppedFiles(files)
+    setIgnoredFiles(ignored)
+    if (!spreadsheets.length) return
+    setParseProgress(spreadsheets.map((file) => ({ name: file.name, stage: 'queued' })))
+    const parsedFiles = await Promise.all(
+      spreadsheets.map(async (file, index) => {
+        const parsed = await parseFile(file, null, null, (stage) => updateParseStage(index, stage))
+        updateParseStage(index, 'done')
+        return parsed
       }),
     )
+    setParseProgress(null)
+    if (parsedFiles.includes(null)) return
+    const uniqueFiles = new Map(parsedFiles.map((file) => [file.name, file]))
+    placeUploadFiles(Array.from(uniqueFiles.values()))
+  }
 
-    const sortedFiles = [...parsedFiles].sort((a, b) => {
-      const dateA = a.dateString ? parseDateString(a.dateString) : null
-      const dateB = b.dateString ? parseDateString(b.dateString) : null
-      if (dateA && dateB) {
-        return dateA - dateB
-      }
-      if (dateA) return -1
-      if (dateB) return 1
-      return a.name.localeCompare(b.name)
-    })
+  const handleAssignKind = async (entry, kind) => {
+    const parsed = await parseFile(entry.file, kind)
+    if (parsed) placeUploadFiles([parsed])
+  }
+
+  const handleClearUploads = () => {
+    setVisitUpload(buildUploadState([]))
+    setFeverUpload(buildUploadState([]))
+    setUnclassifiedFiles([])
+    setIgnoredFiles([])
+    setActiveSessionId(null)
+    setSaveStatus(null)
+  }
 
-    const validDates = parsedFiles
-      .filter((file) => file.dateString && file.nameIssue !== 'pattern')
-      .map((file) => file.dateString)
+  const handleSignIn = async (password) => {
+    try {
+      const result = await requestSession('POST', { password })
+      if (result.status === 401) return '비밀번호가 맞지 않습니다.'
+      if (result.status === 429) return '로그인 시도가 너무 많습니다. 잠시 후 다시 시도하세요.'
+      if (!result.ok) throw new Error(result.data.error)
+      setSession(result.data)
+      setSignInRequired(false)
+      return ''
+    } catch (error) {
+      return '로그인하지 못했습니다. 연결 상태를 확인하세요.'
+    }
+  }
 
-    const weekCheck = analyzeWeekDates(validDates)
-    const warnings = buildUploadWarnings(parsedFiles, weekCheck)
+  const handleSignOut = async () => {
+    await requestSession('DELETE').catch(() => {})
+    await clearCachedReports().catch(() => {})
+    setSession(null)
+    setReports([])
+    setSelectedWeek('')
+    setOfflineSavedAt('')
+    setSignInRequired(true)
+  }
 
-    setter({
-      files: sortedFiles,
-      ages: parsedFiles.flatMap((file) => file.ages || []),
-      warnings,
-      weekCheck,
-    })
+  const refreshUploadSessions = () => {
+    listUploadSessions()
+      .then(setUploadSessions)
+      .catch(() => {})
+  }
+
+  const handleOpenSession = (session) => {
+    parserPool.cancel()
+    const files = session.files.map(restoreSessionFile)
+    setVisitUpload(buildUploadState(files.filter((file) => file.kind === 'visit')))
+    setFeverUpload(buildUploadState(files.filter((file) => file.kind === 'fever')))
+    setUnclassifiedFiles(files.filter((file) => !file.kind))
+    setIgnoredFiles([])
+    setReportDate(session.reportDate)
+    setDimensionIds(session.dimensionIds || [])
+    // Patient ids are never stored, so a reopened session counts visits.
+    setCountUnique(false)
+    setActiveSessionId(session.id)
+    setSaveStatus(null)
+  }
+
+  const handleRenameSession = async (session) => {
+    const name = window.prompt('업로드 세션 이름', session.name)?.trim()
+    if (!name || name === session.name) return
+    await renameUploadSession(session.id, name).catch(() => {})
+    refreshUploadSessions()
+  }
+
+  const handleDeleteSession = async (session) => {
+    if (!window.confirm(`"${session.name}" 세션을 삭제할까요?`)) return
+    await deleteUploadSession(session.id).catch(() => {})
+    if (session.id === activeSessionId) setActiveSessionId(null)
+    refreshUploadSessions()
+  }
+
+  const handleSourceChange = async (type, setter, entry, override) => {
+    const parsed = await parseFile(entry.file, type, override)
+    if (!parsed) return
+    const updated = { ...parsed, kindSource: entry.kindSource }
+    setter((previous) =>
+      buildUploadState(previous.files.map((file) => (file === entry ? updated : file))),
+    )
+    setSaveStatus(null)
   }
 
   const selectedReport = useMemo(() => {
@@ -395,49 +943,338 @@ function App() {
     return reports.find((report) => report.weekStart === selectedWeek) || reports[0]
   }, [reports, selectedWeek])
 
-  const weeklyGroups = selectedReport?.groups || []
+  const weeklyGrouping = useMemo(() => {
+    if (!selectedReport) return { groups: [], schemeId }
+    return resolveReportGroups(selectedReport, schemeId)
+  }, [selectedReport, schemeId])
+
+  const weeklyGroups = weeklyGrouping.groups
   const weeklyTotalVisit = selectedReport?.totalVisit || 0
   const weeklyTotalFever = selectedReport?.totalFever || 0
   const weeklyOverallRatio = Number.isFinite(selectedReport?.overallRatio)
     ? selectedReport.overallRatio
-    : weeklyTotalVisit
-      ? (weeklyTotalFever / weeklyTotalVisit) * 100
-      : 0
-
-  const visitCounts = useMemo(() => buildCounts(visitUpload.ages), [visitUpload.ages])
-  const feverCounts = useMemo(() => buildCounts(feverUpload.ages), [feverUpload.ages])
-  const uploadGroups = useMemo(
-    () => combineCounts(visitCounts, feverCounts),
-    [visitCounts, feverCounts],
+    : calculateRatio(weeklyTotalFever, weeklyTotalVisit)
+
+  const uploadSummary = useMemo(
+    () => summarizeAges(visitUpload.ages, feverUpload.ages, schemeId),
+    [visitUpload.ages, feverUpload.ages, schemeId],
   )
-  const uploadTotalVisit = visitUpload.ages.length
-  const uploadTotalFever = feverUpload.ages.length
-  const uploadOverallRatio = uploadTotalVisit
-    ? (uploadTotalFever / uploadTotalVisit) * 100
-    : 0
+  const uploadGroups = uploadSummary.groups
+  const uploadTotalVisit = uploadSummary.totalVisit
+  const uploadTotalFever = uploadSummary.totalFever
+  const uploadOverallRatio = uploadSummary.overallRatio
 
   const activeGroups = viewMode === 'weekly' ? weeklyGroups : uploadGroups
+  const activeScheme = getAgeGroupScheme(
+    viewMode === 'weekly' ? weeklyGrouping.schemeId : uploadSummary.schemeId,
+  )
   const totalVisit = viewMode === 'weekly' ? weeklyTotalVisit : uploadTotalVisit
   const totalFever = viewMode === 'weekly' ? weeklyTotalFever : uploadTotalFever
   const overallRatio = viewMode === 'weekly' ? weeklyOverallRatio : uploadOverallRatio
   const hasData = totalVisit > 0 || totalFever > 0
-  const missingDays = viewMode === 'weekly' ? selectedReport?.missingDays || [] : []
+  const missingDays = useMemo(
+    () => (viewMode === 'weekly' ? selectedReport?.missingDays || [] : []),
+    [viewMode, selectedReport],
+  )
+
+  const uploadMissingDays = useMemo(() => {
+    const days = new Set([
+      ...(visitUpload.weekCheck?.missingDays || []),
+      ...(feverUpload.weekCheck?.missingDays || []),
+    ])
+    return Array.from(days).sort()
+  }, [visitUpload.weekCheck, feverUpload.weekCheck])
+  const uploadDays = useMemo(
+    () =>
+      groupUploadAgesByDate(visitUpload.files, feverUpload.files, uploadMissingDays, countUnique),
+    [visitUpload.files, feverUpload.files, uploadMissingDays, countUnique],
+  )
+  const uploadDaily = useMemo(() => buildDailyBreakdown(uploadDays, schemeId), [uploadDays, schemeId])
+  const uploadHasPatientIds = countUnique && uploadDays.length > 0 && hasPatientIds(uploadDays)
+  const uploadUnique = useMemo(
+    () => (uploadHasPatientIds ? summarizeUniquePatients(uploadDays, schemeId) : null),
+    [uploadHasPatientIds, uploadDays, schemeId],
+  )
+  const weeklyUnique = useMemo(
+    () => (selectedReport ? resolveUniqueSummary(selectedReport, weeklyGrouping.schemeId) : null),
+    [selectedReport, weeklyGrouping.schemeId],
+  )
+  const activeUnique = viewMode === 'weekly' ? weeklyUnique : uploadUnique
+  const uploadDimensions = useMemo(
+    () =>
+      buildDimensionBreakdowns(
+        visitUpload.files.flatMap((file) => file.records || []),
+        feverUpload.files.flatMap((file) => file.records || []),
+        dimensionIds,
+      ),
+    [visitUpload.files, feverUpload.files, dimensionIds],
+  )
+  const activeDimensions =
+    viewMode === 'weekly' ? selectedReport?.dimensions || [] : uploadDimensions
+  const uniqueGroupCounts = useMemo(() => {
+    const counts = new Map()
+    const groups = activeUnique?.groups || []
+    groups.forEach((group) => {
+      const children = group.children || []
+      counts.set(group.id, group)
+      children.forEach((child) => counts.set(`${group.id}/${child.id}`, child))
+    })
+    return counts
+  }, [activeUnique])
+  const activeDaily = useMemo(
+    () => (viewMode === 'weekly' ? selectedReport?.daily || [] : uploadDaily),
+    [viewMode, selectedReport, uploadDaily],
+  )
+  const activeMissingDays = viewMode === 'weekly' ? missingDays : uploadMissingDays
+  const uploadQuality = useMemo(
+    () =>
+      buildUploadQuality(
+        visitUpload.files,
+        feverUpload.files,
+        uploadDaily,
+        uploadMissingDays,
+        reports,
+      ),
+    [visitUpload.files, feverUpload.files, uploadDaily, uploadMissingDays, reports],
+  )
+
+  const uploadWeekCheck = visitUpload.weekCheck || feverUpload.weekCheck || null
+  const uploadWeekStart = uploadWeekCheck?.weekStart || reportDate
+  const uploadWeekEnd = uploadWeekCheck?.weekEnd || reportDate
+  const uploadThresholds = useMemo(() => {
+    if (!uploadTotalVisit) return null
+    return evaluateThresholds(
+      { ...uploadSummary, weekStart: uploadWeekStart },
+      reports,
+      thresholdConfig,
+    )
+  }, [uploadSummary, uploadTotalVisit, uploadWeekStart, reports, thresholdConfig])
+  const weeklyThresholds =
+    selectedReport && weeklyGrouping.schemeId === (selectedReport.schemeId || DEFAULT_SCHEME_ID)
+      ? selectedReport.thresholds
+      : { overall: selectedReport?.thresholds?.overall, groups: {} }
+  const activeThresholds = viewMode === 'weekly' ? weeklyThresholds : uploadThresholds
+  const overallThreshold = activeThresholds?.overall
+
+  const comparisonBaseWeek =
+    viewMode === 'weekly' ? selectedReport?.weekStart || '' : uploadWeekStart
+  const comparisonCandidates = useMemo(() => {
+    const weekStart = getWeekStart(comparisonBaseWeek)
+    return reports.filter((report) => report.weekStart !== weekStart)
+  }, [reports, comparisonBaseWeek])
+  const comparisonTargets = useMemo(() => {
+    const customReport = comparisonCandidates.find((report) => report.weekStart === comparisonWeek)
+    if (customReport) return [{ key: 'custom', label: '선택 주', report: customReport }]
+    const weekStart = getWeekStart(comparisonBaseWeek)
+    return [
+      { key: 'previous', label: '전주', report: findPreviousWeek(weekStart, reports) },
+      { key: 'lastYear', label: '전년 동주', report: findSameWeekLastYear(weekStart, reports) },
+    ]
+  }, [comparisonCandidates, comparisonWeek, comparisonBaseWeek, reports])
+  const comparisons = useMemo(() => {
+    if (!hasData) return []
+    const current = { totalVisit, totalFever, groups: activeGroups }
+    return comparisonTargets
+      .filter((target) => target.report)
+      .map((target) => ({
+        ...target,
+        result: compareWeeks(current, target.report, activeScheme.id),
+      }))
+  }, [hasData, totalVisit, totalFever, activeGroups, comparisonTargets, activeScheme.id])
+
+  const activeReport = useMemo(() => {
+    if (!hasData) return null
+    const weekStart =
+      viewMode === 'weekly' ? selectedReport?.weekStart || '' : uploadWeekStart
+    const weekEnd = viewMode === 'weekly' ? selectedReport?.weekEnd || '' : uploadWeekEnd
+    return {
+      source: viewMode,
+      weekStart,
+      weekEnd,
+      schemeId: activeScheme.id,
+      schemeLabel: activeScheme.label,
+      totalVisit,
+      totalFever,
+      overallRatio,
+      groups: activeGroups,
+      missingDays: activeMissingDays,
+      daily: activeDaily,
+    }
+  }, [
+    hasData,
+    viewMode,
+    selectedReport,
+    uploadWeekStart,
+    uploadWeekEnd,
+    activeScheme,
+    totalVisit,
+    totalFever,
+    overallRatio,
+    activeGroups,
+    activeMissingDays,
+    activeDaily,
+  ])
+
+  const uploadWeekPayload = useMemo(
+    () =>
+      uploadWeekCheck
+        ? buildUploadWeekPayload({
+            visitFiles: visitUpload.files,
+            feverFiles: feverUpload.files,
+            weekStart: uploadWeekCheck.weekStart,
+            missingDays: uploadMissingDays,
+            schemeId: uploadSummary.schemeId,
+            countUnique: uploadHasPatientIds,
+            dimensionIds,
+          })
+        : null,
+    [
+      uploadWeekCheck,
+      visitUpload.files,
+      feverUpload.files,
+      uploadMissingDays,
+      uploadSummary.schemeId,
+      uploadHasPatientIds,
+      dimensionIds,
+    ],
+  )
+
+  const canEditReports = session?.role === 'editor'
+  const canSaveUpload = Boolean(uploadWeekPayload?.totalVisit) && canEditReports
+
+  const handleSaveUpload = async () => {
+    if (!canSaveUpload) return
+    const weekLabel = `${uploadWeekStart} ~ ${uploadWeekEnd}`
+    const overwritePrompt = `${weekLabel} 주간 보고서가 이미 있습니다. 업로드 결과로 덮어쓸까요?`
+    const exists = reports.some((report) => report.weekStart === uploadWeekStart)
+    if (exists && !window.confirm(overwritePrompt)) return
+
+    const { payload } = uploadWeekPayload
+
+    setSaveStatus({ type: 'saving', message: '주간 보고서로 저장하는 중입니다.' })
+    try {
+      let result = await postWeeklyReport({ ...payload, overwrite: exists })
+      if (result.status === 409) {
+        if (!window.confirm(overwritePrompt)) {
+          setSaveStatus(null)
+          return
+        }
+        result = await postWeeklyReport({ ...payload, overwrite: true })
+      }
+      if (result.status === 401) {
+        setSaveStatus(null)
+        setSignInRequired(true)
+        return
+      }
+      if (!result.ok) {
+        const detail = result.data.details?.join(', ') || result.data.error
+        throw new Error(`주간 보고서를 저장하지 못했습니다.${detail ? ` (${detail})` : ''}`)
+      }
+      const { week } = result.data
+      setReports((previous) =>
+        sortReportsByWeek([
+          week,
+          ...previous.filter((report) => report.weekStart !== week.weekStart),
+        ]),
+      )
+      setSelectedWeek(week.weekStart)
+      setSaveStatus({ type: 'success', message: `${weekLabel} 주간 보고서로 저장했습니다.` })
+    } catch (error) {
+      setSaveStatus({
+        type: 'error',
+        message: error.message || '주간 보고서를 저장하지 못했습니다.',
+      })
+    }
+  }
+
+  const toggleDimension = (dimensionId) => {
+    setDimensionIds((previous) =>
+      previous.includes(dimensionId)
+        ? previous.filter((item) => item !== dimensionId)
+        : [...previous, dimensionId],
+    )
+    setSaveStatus(null)
+  }
+
+  const updatePrintMeta = (key, value) => {
+    setPrintMeta((previous) => {
+      const next = { ...previous, [key]: value }
+      try {
+        window.localStorage.setItem(PRINT_META_STORAGE_KEY, JSON.stringify(next))
+      } catch (error) {
+        // Storage can be unavailable (private mode); the value still applies.
+      }
+      return next
+    })
+  }
+
+  const openPrintPreview = () => {
+    if (!activeReport) return
+    setPrintPreview({ report: activeReport, generatedAt: formatTimestamp(new Date()) })
+  }
+
+  const handleExportWorkbook = () => {
+    if (!activeReport) return
+    downloadSubmissionWorkbook(activeReport, { generatedAt: formatTimestamp(new Date()) })
+  }
 
   const chartData = useMemo(() => {
     if (!activeGroups.length) return []
     return activeGroups.map((group) => ({
       label: group.label,
-      ratio: group.totalCount ? (group.feverCount / group.totalCount) * 100 : 0,
+      ratio: calculateRatio(group.feverCount, group.totalCount),
       feverCount: group.feverCount,
       totalCount: group.totalCount,
     }))
   }, [activeGroups])
 
-  const visitFileCount = visitUpload.files.length
-  const feverFileCount = feverUpload.files.length
+  if (signInRequired) {
+    return (
+      <div className="app">
+        <div className="container">
+          <SignInPanel onSignIn={handleSignIn} />
+        </div>
+      </div>
+    )
+  }
 
   return (
-    <div className="app">
+    <div className={`app ${printPreview ? 'is-printing' : ''}`}>
+      {printPreview ? (
+        <div className="print-preview">
+          <div className="print-preview__toolbar">
+            <label>
+              <span>의료기관명</span>
+              <input
+                type="text"
+                value={printMeta.clinicName}
+                onChange={(event) => updatePrintMeta('clinicName', event.target.value)}
+              />
+            </label>
+            <label>
+              <span>작성자</span>
+              <input
+                type="text"
+                value={printMeta.author}
+                onChange={(event) => updatePrintMeta('author', event.target.value)}
+              />
+            </label>
+            <button type="button" className="panel__action" onClick={() => window.print()}>
+              <Printer size={16} />
+              인쇄 / PDF 저장
+            </button>
+            <button type="button" className="panel__action" onClick={() => setPrintPreview(null)}>
+              닫기
+            </button>
+          </div>
+          <PrintReport
+            report={printPreview.report}
+            clinicName={printMeta.clinicName}
+            author={printMeta.author}
+            generatedAt={printPreview.generatedAt}
+          />
+        </div>
+      ) : null}
       <div className="container">
         <header className="hero">
           <div className="hero__copy">
@@ -483,6 +1320,18 @@ function App() {
                 <code>YYYY-MM-DD_발열환자수.xlsx</code>
               </span>
             </div>
+            {session ? (
+              <div className="meta-card">
+                <div className="meta-card__label">
+                  <UserRound size={18} />
+                  {ROLE_LABELS[session.role]}
+                </div>
+                <button type="button" className="meta-card__action" onClick={handleSignOut}>
+                  <LogOut size={14} />
+                  로그아웃
+                </button>
+              </div>
+            ) : null}
           </div>
         </header>
 
@@ -516,6 +1365,16 @@ function App() {
             자동 보고서는 Drive 업로드 파일을 주간(월~토)으로 합산하며, 업로드
             모드는 즉시 확인용입니다.
           </p>
+          <label className="week-selector__field">
+            <span>연령 구분</span>
+            <select value={schemeId} onChange={(event) => setSchemeId(event.target.value)}>
+              {AGE_GROUP_SCHEMES.map((scheme) => (
+                <option key={scheme.id} value={scheme.id}>
+                  {scheme.label}
+                </option>
+              ))}
+            </select>
+          </label>
         </section>
 
         {viewMode === 'weekly' ? (
@@ -538,6 +1397,8 @@ function App() {
                   {reports.map((report) => (
                     <option key={report.weekStart} value={report.weekStart}>
                       {formatWeekLabel(report)}
+                      {report.source === 'manual' ? ' (수동 저장)' : ''}
+                      {report.revisedAt ? ' · 수정됨' : ''}
                     </option>
                   ))}
                 </select>
@@ -547,6 +1408,9 @@ function App() {
                 {selectedReport?.createdAt ? (
                   <span>최근 집계 {selectedReport.createdAt}</span>
                 ) : null}
+                {selectedReport?.revisedAt ? (
+                  <span>수정됨 {selectedReport.revisedAt}</span>
+                ) : null}
               </div>
             </div>
             {isLoading ? (
@@ -561,6 +1425,12 @@ function App() {
                 <span>{loadError}</span>
               </div>
             ) : null}
+            {offlineSavedAt ? (
+              <div className="panel__note">
+                <WifiOff size={18} />
+                <span>서버에 연결하지 못해 {offlineSavedAt}에 받아 둔 보고서를 보여 줍니다.</span>
+              </div>
+            ) : null}
             {!isLoading && !loadError && !reports.length ? (
               <div className="empty-state">
                 <FileSpreadsheet size={28} />
@@ -576,6 +1446,17 @@ function App() {
                 </span>
               </div>
             ) : null}
+            {selectedReport ? <RevisionHistory report={selectedReport} /> : null}
+            <QualityNotes issues={selectedReport?.quality} />
+            {selectedReport && weeklyGrouping.schemeId !== schemeId ? (
+              <div className="panel__note">
+                <CircleAlert size={18} />
+                <span>
+                  이 주간은 나이별 원자료가 저장되지 않아 집계 당시 구분(
+                  {activeScheme.label})으로 표시합니다.
+                </span>
+              </div>
+            ) : null}
           </section>
         ) : (
           <section className="panel">
@@ -586,139 +1467,93 @@ function App() {
               </div>
               <span className="panel__chip">즉시 확인</span>
             </div>
+            {parseProgress ? (
+              <ParseProgress entries={parseProgress} onCancel={parserPool.cancel} />
+            ) : (
+              <UploadDropZone onFilesDropped={handleDroppedFiles} />
+            )}
+            {ignoredFiles.length ? (
+              <div className="upload-card__warning">
+                <CircleAlert size={14} />
+                <span>
+                  {SPREADSHEET_EXTENSIONS.join(', ')} 또는 읽을 수 있는 zip 파일이 아니어서
+                  제외했습니다: {ignoredFiles.join(', ')}
+                </span>
+              </div>
+            ) : null}
+            <UploadSessions
+              sessions={uploadSessions}
+              activeId={activeSessionId}
+              onOpen={handleOpenSession}
+              onRename={handleRenameSession}
+              onDelete={handleDeleteSession}
+            />
+            <UnclassifiedFiles files={unclassifiedFiles} onAssign={handleAssignKind} />
             <div className="upload-grid">
-              <label className={`upload-card ${visitUpload.warnings.length ? 'is-error' : ''}`}>
-                <input
-                  type="file"
-                  accept=".xlsx,.xls"
-                  multiple
-                  onChange={(event) =>
-                    handleUploadFiles(event.target.files, 'visit', setVisitUpload)
-                  }
-                />
-                <div className="upload-card__top">
-                  <UploadCloud size={20} />
-                  <div>
-                    <strong>총환자수 파일들</strong>
-                    <span>월~토 내원 환자 나이 목록</span>
-                  </div>
-                </div>
-                <div className="upload-card__status">
-                  <span>
-                    {visitFileCount
-                      ? `${visitFileCount}개 파일 선택`
-                      : '파일을 선택하세요'}
-                  </span>
-                  <span>{visitUpload.ages.length ? `${visitUpload.ages.length}명` : ''}</span>
-                </div>
-                {visitUpload.files.length ? (
-                  <div className="upload-card__list">
-                    {visitUpload.files.slice(0, MAX_FILE_LIST).map((file) => (
-                      <div
-                        key={file.name}
-                        className={`upload-card__file ${
-                          file.error || file.nameIssue ? 'is-error' : ''
-                        }`}
-                      >
-                        <div>
-                          <span className="upload-card__file-name">{file.name}</span>
-                          {file.dateString ? (
-                            <span className="upload-card__file-date">{file.dateString}</span>
-                          ) : null}
-                          {file.nameIssue === 'pattern' ? (
-                            <span className="upload-card__file-note">파일명 규칙 불일치</span>
-                          ) : null}
-                          {file.nameIssue === 'date' ? (
-                            <span className="upload-card__file-note">날짜 형식 오류</span>
-                          ) : null}
-                          {file.error ? (
-                            <span className="upload-card__file-note">{file.error}</span>
-                          ) : null}
-                        </div>
-                        <span>{file.ages.length ? `${file.ages.length}명` : '0명'}</span>
-                      </div>
-                    ))}
-                    {visitUpload.files.length > MAX_FILE_LIST ? (
-                      <div className="upload-card__more">
-                        외 {visitUpload.files.length - MAX_FILE_LIST}개 파일
-                      </div>
-                    ) : null}
-                  </div>
-                ) : null}
-                {visitUpload.warnings.map((warning, index) => (
-                  <div key={`${warning}-${index}`} className="upload-card__warning">
-                    <CircleAlert size={14} />
-                    <span>{warning}</span>
-                  </div>
-                ))}
-              </label>
-
-              <label className={`upload-card ${feverUpload.warnings.length ? 'is-error' : ''}`}>
-                <input
-                  type="file"
-                  accept=".xlsx,.xls"
-                  multiple
-                  onChange={(event) =>
-                    handleUploadFiles(event.target.files, 'fever', setFeverUpload)
-                  }
-                />
-                <div className="upload-card__top">
-                  <UploadCloud size={20} />
-                  <div>
-                    <strong>발열환자수 파일들</strong>
-                    <span>월~토 발열 환자 나이 목록</span>
-                  </div>
-                </div>
-                <div className="upload-card__status">
-                  <span>
-                    {feverFileCount
-                      ? `${feverFileCount}개 파일 선택`
-                      : '파일을 선택하세요'}
-                  </span>
-                  <span>{feverUpload.ages.length ? `${feverUpload.ages.length}명` : ''}</span>
-                </div>
-                {feverUpload.files.length ? (
-                  <div className="upload-card__list">
-                    {feverUpload.files.slice(0, MAX_FILE_LIST).map((file) => (
-                      <div
-                        key={file.name}
-                        className={`upload-card__file ${
-                          file.error || file.nameIssue ? 'is-error' : ''
-                        }`}
-                      >
-                        <div>
-                          <span className="upload-card__file-name">{file.name}</span>
-                          {file.dateString ? (
-                            <span className="upload-card__file-date">{file.dateString}</span>
-                          ) : null}
-                          {file.nameIssue === 'pattern' ? (
-                            <span className="upload-card__file-note">파일명 규칙 불일치</span>
-                          ) : null}
-                          {file.nameIssue === 'date' ? (
-                            <span className="upload-card__file-note">날짜 형식 오류</span>
-                          ) : null}
-                          {file.error ? (
-                            <span className="upload-card__file-note">{file.error}</span>
-                          ) : null}
-                        </div>
-                        <span>{file.ages.length ? `${file.ages.length}명` : '0명'}</span>
-                      </div>
-                    ))}
-                    {feverUpload.files.length > MAX_FILE_LIST ? (
-                      <div className="upload-card__more">
-                        외 {feverUpload.files.length - MAX_FILE_LIST}개 파일
-                      </div>
-                    ) : null}
-                  </div>
-                ) : null}
-                {feverUpload.warnings.map((warning, index) => (
-                  <div key={`${warning}-${index}`} className="upload-card__warning">
-                    <CircleAlert size={14} />
-                    <span>{warning}</span>
-                  </div>
-                ))}
-              </label>
+              <UploadCard
+                title="총환자수 파일들"
+                description="월~토 내원 환자 나이 목록"
+                upload={visitUpload}
+                moveLabel="발열환자수로 옮기기"
+                onMove={(entry) => handleAssignKind(entry, 'fever')}
+                onSourceChange={(entry, override) =>
+                  handleSourceChange('visit', setVisitUpload, entry, override)
+                }
+              />
+              <UploadCard
+                title="발열환자수 파일들"
+                description="월~토 발열 환자 나이 목록"
+                upload={feverUpload}
+                moveLabel="총환자수로 옮기기"
+                onMove={(entry) => handleAssignKind(entry, 'visit')}
+                onSourceChange={(entry, override) =>
+                  handleSourceChange('fever', setFeverUpload, entry, override)
+                }
+              />
             </div>
+            {visitUpload.files.length || feverUpload.files.length || unclassifiedFiles.length ? (
+              <button
+                type="button"
+                className="panel__action upload-clear"
+                onClick={handleClearUploads}
+              >
+                <Trash2 size={16} />
+                모든 파일 지우기
+              </button>
+            ) : null}
+            <QualityNotes issues={uploadQuality} />
+            <label className="unique-toggle">
+              <input
+                type="checkbox"
+                checked={countUnique}
+                onChange={(event) => setCountUnique(event.target.checked)}
+              />
+              <span>
+                차트번호·환자번호 열로 실환자수도 집계 (번호는 브라우저 메모리에서만 쓰고
+                저장하거나 전송하지 않습니다)
+              </span>
+            </label>
+            <div className="dimension-toggle">
+              <span>함께 나눠 볼 항목</span>
+              {DIMENSIONS.map((dimension) => (
+                <label key={dimension.id}>
+                  <input
+                    type="checkbox"
+                    checked={dimensionIds.includes(dimension.id)}
+                    onChange={() => toggleDimension(dimension.id)}
+                  />
+                  {dimension.label}
+                </label>
+              ))}
+            </div>
+            {countUnique && hasData && !uploadHasPatientIds ? (
+              <div className="panel__note">
+                <CircleAlert size={18} />
+                <span>
+                  차트번호·환자번호 열이 없는 파일이 있어 실환자수를 집계하지 않았습니다.
+                </span>
+              </div>
+            ) : null}
             <div className="panel__note">
               <CircleAlert size={18} />
               <span>
@@ -726,6 +1561,43 @@ function App() {
                 있으면 경고가 표시됩니다.
               </span>
             </div>
+            <div className="save-report">
+              <button
+                type="button"
+                className="panel__action"
+                onClick={handleSaveUpload}
+                disabled={!canSaveUpload || saveStatus?.type === 'saving'}
+              >
+                <Save size={16} />
+                이 결과를 주간 보고서로 저장
+              </button>
+              <span>
+                {!canEditReports
+                  ? '주간 보고서 저장은 편집 권한으로 로그인해야 합니다.'
+                  : canSaveUpload
+                    ? `${uploadWeekStart} ~ ${uploadWeekEnd} 주간으로 저장됩니다.`
+                    : '파일명에서 주간을 확인할 수 있어야 저장할 수 있습니다.'}
+              </span>
+            </div>
+            {uploadWeekPayload?.excludedFiles.length ? (
+              <div className="upload-card__warning">
+                <CircleAlert size={14} />
+                <span>
+                  날짜가 없거나 {uploadWeekStart} ~ {uploadWeekEnd} 주간 밖의 파일은 주간 보고서
+                  저장에서 제외됩니다: {uploadWeekPayload.excludedFiles.join(', ')}
+                </span>
+              </div>
+            ) : null}
+            {saveStatus ? (
+              <div
+                className={`panel__note ${
+                  saveStatus.type === 'error' ? 'panel__note--error' : ''
+                }`}
+              >
+                {saveStatus.type === 'error' ? <CircleAlert size={18} /> : <Save size={18} />}
+                <span>{saveStatus.message}</span>
+              </div>
+            ) : null}
           </section>
         )}
 
@@ -733,28 +1605,89 @@ function App() {
           <div className="panel__header">
             <div>
               <h2>보고서</h2>
-              <p>나이대별 총 환자수와 발열 환자수를 정리합니다.</p>
+              <p>
+                나이대별 총 환자수와 발열 환자수를 정리합니다. 연령 구분:{' '}
+                {activeScheme.label}
+              </p>
+            </div>
+            <div className="panel__actions">
+              <span className="panel__chip">
+                {viewMode === 'weekly'
+                  ? selectedReport
+                    ? `보고서 주간 ${formatWeekLabel(selectedReport)}`
+                    : '보고서'
+                  : `기준일 ${reportDate}`}
+              </span>
+              <button
+                type="button"
+                className="panel__action"
+                onClick={handleExportWorkbook}
+                disabled={!activeReport}
+              >
+                <Download size={16} />
+                엑셀 내보내기
+              </button>
+              <button
+                type="button"
+                className="panel__action"
+                onClick={openPrintPreview}
+                disabled={!activeReport}
+              >
+                <Printer size={16} />
+                인쇄용 보기
+              </button>
             </div>
-            <span className="panel__chip">
-              {viewMode === 'weekly'
-                ? selectedReport
-                  ? `보고서 주간 ${formatWeekLabel(selectedReport)}`
-                  : '보고서'
-                : `기준일 ${reportDate}`}
-            </span>
           </div>
+          {hasData && comparisonCandidates.length ? (
+            <div className="comparison-controls">
+              <label className="week-selector__field">
+                <span>비교 주간</span>
+                <select
+                  value={comparisonTargets[0].key === 'custom' ? comparisonWeek : ''}
+                  onChange={(event) => setComparisonWeek(event.target.value)}
+                >
+                  <option value="">전주 · 전년 동주</option>
+                  {comparisonCandidates.map((report) => (
+                    <option key={report.weekStart} value={report.weekStart}>
+                      {formatWeekLabel(report)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <p>
+                {comparisonTargets
+                  .map(
+                    (target) =>
+                      `${target.label} ${target.report ? formatWeekLabel(target.report) : '자료 없음'}`,
+                  )
+                  .join(' · ')}
+              </p>
+            </div>
+          ) : null}
           <div className="summary-grid">
             <div className="summary-card">
               <span>총 내원 환자수</span>
               <strong>{totalVisit.toLocaleString()}</strong>
+              {activeUnique ? (
+                <small>실환자 {activeUnique.totalVisit.toLocaleString()}명</small>
+              ) : null}
+              <ComparisonChange comparisons={comparisons} field="total" />
             </div>
             <div className="summary-card">
               <span>총 발열 환자수</span>
               <strong>{totalFever.toLocaleString()}</strong>
+              {activeUnique ? (
+                <small>실환자 {activeUnique.totalFever.toLocaleString()}명</small>
+              ) : null}
+              <ComparisonChange comparisons={comparisons} field="fever" />
             </div>
-            <div className="summary-card">
+            <div className={`summary-card ${overallThreshold?.exceeded ? 'is-alert' : ''}`}>
               <span>전체 발열 비율</span>
               <strong>{formatPercent(overallRatio)}</strong>
+              {overallThreshold ? (
+                <ThresholdBadge result={overallThreshold} showThreshold />
+              ) : null}
+              <ComparisonChange comparisons={comparisons} field="ratio" />
             </div>
           </div>
 
@@ -766,27 +1699,79 @@ function App() {
                 <span>발열 환자수</span>
                 <span>발열 비율</span>
               </div>
+              {activeUnique ? (
+                <div className="report-row report-row--note">
+                  괄호 안은 차트번호 기준 실환자수입니다 (같은 주 중복 내원은 한 번만 집계).
+                </div>
+              ) : null}
               {activeGroups.map((group) => (
                 <div key={group.id} className="report-group">
                   <div className="report-row report-row--group">
-                    <span>{group.label}</span>
-                    <span>{group.totalCount}</span>
-                    <span>{group.feverCount}</span>
                     <span>
-                      {group.totalCount
-                        ? formatPercent((group.feverCount / group.totalCount) * 100)
-                        : '0.0%'}
+                      {group.label}
+                      {activeThresholds?.groups?.[group.id]?.exceeded ? (
+                        <ThresholdBadge result={activeThresholds.groups[group.id]} />
+                      ) : null}
+                    </span>
+                    <span>
+                      {group.totalCount}
+                      {formatUniqueCount(uniqueGroupCounts.get(group.id)?.totalCount)}
+                      <ComparisonChange
+                        comparisons={comparisons}
+                        field="total"
+                        groupKey={group.id}
+                      />
+                    </span>
+                    <span>
+                      {group.feverCount}
+                      {formatUniqueCount(uniqueGroupCounts.get(group.id)?.feverCount)}
+                      <ComparisonChange
+                        comparisons={comparisons}
+                        field="fever"
+                        groupKey={group.id}
+                      />
+                    </span>
+                    <span>
+                      {formatPercent(calculateRatio(group.feverCount, group.totalCount))}
+                      <ComparisonChange
+                        comparisons={comparisons}
+                        field="ratio"
+                        groupKey={group.id}
+                      />
                     </span>
                   </div>
                   {group.children?.map((child) => (
                     <div key={child.id} className="report-row report-row--child">
                       <span>{child.label}</span>
-                      <span>{child.totalCount}</span>
-                      <span>{child.feverCount}</span>
                       <span>
-                        {child.totalCount
-                          ? formatPercent((child.feverCount / child.totalCount) * 100)
-                          : '0.0%'}
+                        {child.totalCount}
+                        {formatUniqueCount(
+                          uniqueGroupCounts.get(`${group.id}/${child.id}`)?.totalCount,
+                        )}
+                        <ComparisonChange
+                          comparisons={comparisons}
+                          field="total"
+                          groupKey={`${group.id}/${child.id}`}
+                        />
+                      </span>
+                      <span>
+                        {child.feverCount}
+                        {formatUniqueCount(
+                          uniqueGroupCounts.get(`${group.id}/${child.id}`)?.feverCount,
+                        )}
+                        <ComparisonChange
+                          comparisons={comparisons}
+                          field="fever"
+                          groupKey={`${group.id}/${child.id}`}
+                        />
+                      </span>
+                      <span>
+                        {formatPercent(calculateRatio(child.feverCount, child.totalCount))}
+                        <ComparisonChange
+                          comparisons={comparisons}
+                          field="ratio"
+                          groupKey={`${group.id}/${child.id}`}
+                        />
                       </span>
                     </div>
                   ))}
@@ -830,6 +1815,14 @@ function App() {
             </div>
           )}
         </section>
+
+        <DailyBreakdown daily={activeDaily} missingDays={activeMissingDays} />
+
+        {hasData && activeDimensions.length ? (
+          <DimensionBreakdown dimensions={activeDimensions} schemeId={activeScheme.id} />
+        ) : null}
+
+        {viewMode === 'weekly' ? <TrendDashboard reports={reports} schemeId={schemeId} /> : null}
       </div>
     </div>
   )
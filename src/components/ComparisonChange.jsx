@@ -0,0 +1,30 @@
+import { formatCountChange, formatRatioChange } from '../lib/comparison.js'
+
+// `field` is 'total', 'fever' or 'ratio'; `groupKey` picks a group row
+// (`groupId` or `groupId/childId`) and is left out for the overall totals.
+function ComparisonChange({ comparisons, field, groupKey }) {
+  const lines = comparisons
+    .map((comparison) => {
+      const changes = groupKey ? comparison.result.groups.get(groupKey) : comparison.result.overall
+      if (!changes) return null
+      const text =
+        field === 'ratio'
+          ? formatRatioChange(changes.ratioPoints)
+          : formatCountChange(changes[field])
+      return { key: comparison.key, label: comparison.label, text }
+    })
+    .filter(Boolean)
+  if (!lines.length) return null
+
+  return (
+    <span className="comparison-change">
+      {lines.map((line) => (
+        <small key={line.key}>
+          {line.label} {line.text}
+        </small>
+      ))}
+    </span>
+  )
+}
+
+export default ComparisonChange
@@ -0,0 +1,142 @@
+import { useMemo, useState } from 'react'
+import { CalendarDays, CircleAlert } from 'lucide-react'
+import {
+  Bar,
+  BarChart,
+  Legend,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts'
+import { calculateRatio } from '../lib/aggregation.js'
+import { GROUP_COLORS } from '../lib/chartColors.js'
+import { formatPercent } from '../lib/format.js'
+
+const METRICS = [
+  { id: 'visit', label: '내원', countKey: 'totalCount' },
+  { id: 'fever', label: '발열', countKey: 'feverCount' },
+]
+
+const formatDayLabel = (day) => `${day.date.slice(5)} (${day.weekday})`
+
+function DailyBreakdown({ daily, missingDays }) {
+  const [metricId, setMetricId] = useState('visit')
+  const metric = METRICS.find((item) => item.id === metricId)
+  const groups = daily[0]?.groups || []
+  const missingSet = new Set(missingDays)
+
+  const chartData = useMemo(() => {
+    return daily.map((day) => {
+      const row = { label: formatDayLabel(day) }
+      day.groups.forEach((group) => {
+        row[group.id] = group[metric.countKey]
+      })
+      return row
+    })
+  }, [daily, metric])
+
+  const tableColumns = `minmax(0, 1.2fr) repeat(${groups.length + 3}, minmax(0, 1fr))`
+
+  return (
+    <section className="panel">
+      <div className="panel__header">
+        <div>
+          <h2>요일별 현황</h2>
+          <p>날짜별 {metric.label} 환자수를 나이대별로 쌓아서 확인합니다.</p>
+        </div>
+        <div className="mode-toggle">
+          {METRICS.map((item) => (
+            <button
+              key={item.id}
+              type="button"
+              className={metricId === item.id ? 'is-active' : ''}
+              aria-pressed={metricId === item.id}
+              onClick={() => setMetricId(item.id)}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {daily.length ? (
+        <>
+          <div className="chart-card">
+            <ResponsiveContainer width="100%" height={280}>
+              <BarChart data={chartData}>
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                {groups.map((group, index) => (
+                  <Bar
+                    key={group.id}
+                    dataKey={group.id}
+                    name={group.label}
+                    stackId="daily"
+                    fill={GROUP_COLORS[index % GROUP_COLORS.length]}
+                  />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="report-table report-table--scroll">
+            <div
+              className="report-row report-row--head"
+              style={{ gridTemplateColumns: tableColumns }}
+            >
+              <span>날짜</span>
+              <span>총 환자수</span>
+              <span>발열 환자수</span>
+              <span>발열 비율</span>
+              {groups.map((group) => (
+                <span key={group.id}>{group.label} (발열/총)</span>
+              ))}
+            </div>
+            {daily.map((day) => (
+              <div
+                key={day.date}
+                className={`report-row report-row--day ${
+                  missingSet.has(day.date) ? 'is-missing' : ''
+                }`}
+                style={{ gridTemplateColumns: tableColumns }}
+              >
+                <span>
+                  {formatDayLabel(day)}
+                  {missingSet.has(day.date) ? ' · 파일 누락' : ''}
+                </span>
+                <span>
+                  {day.totalVisit}
+                  {Number.isFinite(day.uniqueVisit) ? ` (실 ${day.uniqueVisit})` : ''}
+                </span>
+                <span>
+                  {day.totalFever}
+                  {Number.isFinite(day.uniqueFever) ? ` (실 ${day.uniqueFever})` : ''}
+                </span>
+                <span>{formatPercent(calculateRatio(day.totalFever, day.totalVisit))}</span>
+                {day.groups.map((group) => (
+                  <span key={group.id}>
+                    {group.feverCount}/{group.totalCount}
+                  </span>
+                ))}
+              </div>
+            ))}
+          </div>
+          {missingDays.length ? (
+            <div className="panel__note">
+              <CircleAlert size={18} />
+              <span>파일이 없는 날짜는 0으로 표시됩니다: {missingDays.join(', ')}</span>
+            </div>
+          ) : null}
+        </>
+      ) : (
+        <div className="empty-state">
+          <CalendarDays size={28} />
+          <p>날짜별 데이터가 있는 보고서에서 요일별 현황이 표시됩니다.</p>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default DailyBreakdown
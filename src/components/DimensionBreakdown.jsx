@@ -0,0 +1,121 @@
+import { useMemo, useState } from 'react'
+import { Users } from 'lucide-react'
+import { Bar, BarChart, Legend, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
+import { calculateRatio, resolveDimensionGroups } from '../lib/aggregation.js'
+import { GROUP_COLORS } from '../lib/chartColors.js'
+import { formatPercent } from '../lib/format.js'
+
+function DimensionBreakdown({ dimensions, schemeId }) {
+  const [dimensionId, setDimensionId] = useState('')
+  const breakdown = useMemo(() => {
+    const selected = dimensions.find((dimension) => dimension.id === dimensionId) || dimensions[0]
+    return selected ? resolveDimensionGroups(selected, schemeId) : null
+  }, [dimensions, dimensionId, schemeId])
+
+  const chartData = useMemo(() => {
+    if (!breakdown) return []
+    const groups = breakdown.categories[0]?.groups || []
+    return groups.map((group, index) => {
+      const row = { label: group.label }
+      breakdown.categories.forEach((category) => {
+        const counts = category.groups[index]
+        row[category.value] = calculateRatio(counts.feverCount, counts.totalCount)
+      })
+      return row
+    })
+  }, [breakdown])
+
+  if (!breakdown) return null
+
+  const tableColumns = `minmax(0, 1.2fr) repeat(${breakdown.categories.length}, minmax(0, 1fr))`
+  const rows = [
+    {
+      id: 'total',
+      label: '전체',
+      cells: breakdown.categories.map((category) => ({
+        totalCount: category.totalVisit,
+        feverCount: category.totalFever,
+      })),
+    },
+    ...chartData.map((row, index) => ({
+      id: row.label,
+      label: row.label,
+      cells: breakdown.categories.map((category) => category.groups[index]),
+    })),
+  ]
+
+  return (
+    <section className="panel">
+      <div className="panel__header">
+        <div>
+          <h2>{breakdown.label}별 현황</h2>
+          <p>나이대별 발열 비율을 {breakdown.label}로 나누어 비교합니다.</p>
+        </div>
+        {dimensions.length > 1 ? (
+          <div className="mode-toggle">
+            {dimensions.map((dimension) => (
+              <button
+                key={dimension.id}
+                type="button"
+                className={breakdown.id === dimension.id ? 'is-active' : ''}
+                aria-pressed={breakdown.id === dimension.id}
+                onClick={() => setDimensionId(dimension.id)}
+              >
+                {dimension.label}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <span className="panel__chip">
+            <Users size={16} />
+            {breakdown.categories.length}개 구분
+          </span>
+        )}
+      </div>
+      <div className="chart-card">
+        <ResponsiveContainer width="100%" height={280}>
+          <BarChart data={chartData}>
+            <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+            <YAxis domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+            <Tooltip formatter={(value) => formatPercent(value)} />
+            <Legend />
+            {breakdown.categories.map((category, index) => (
+              <Bar
+                key={category.value}
+                dataKey={category.value}
+                name={category.value}
+                fill={GROUP_COLORS[index % GROUP_COLORS.length]}
+                radius={[6, 6, 0, 0]}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="report-table report-table--scroll">
+        <div className="report-row report-row--head" style={{ gridTemplateColumns: tableColumns }}>
+          <span>구분</span>
+          {breakdown.categories.map((category) => (
+            <span key={category.value}>{category.value} (발열/총)</span>
+          ))}
+        </div>
+        {rows.map((row) => (
+          <div
+            key={row.id}
+            className={`report-row ${row.id === 'total' ? 'report-row--group' : 'report-row--day'}`}
+            style={{ gridTemplateColumns: tableColumns }}
+          >
+            <span>{row.label}</span>
+            {row.cells.map((cell, index) => (
+              <span key={breakdown.categories[index].value}>
+                {cell.feverCount}/{cell.totalCount} (
+                {formatPercent(calculateRatio(cell.feverCount, cell.totalCount))})
+              </span>
+            ))}
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default DimensionBreakdown
@@ -0,0 +1,110 @@
+import { Bar, BarChart, XAxis, YAxis } from 'recharts'
+import { calculateRatio } from '../lib/aggregation.js'
+import { REPORT_SOURCE_LABELS, formatPercent } from '../lib/format.js'
+
+// Fixed chart size so the printed page does not depend on the screen width.
+const PRINT_CHART_WIDTH = 680
+const PRINT_CHART_HEIGHT = 200
+
+function PrintReport({ report, clinicName, author, generatedAt }) {
+  const chartData = report.groups.map((group) => ({
+    label: group.label,
+    ratio: calculateRatio(group.feverCount, group.totalCount),
+  }))
+
+  return (
+    <article className="print-sheet">
+      <header className="print-sheet__header">
+        <div>
+          <span className="print-sheet__clinic">{clinicName || '의료기관명 미입력'}</span>
+          <h1>나이대별 내원·발열 환자 주간 보고</h1>
+        </div>
+        <dl>
+          <div>
+            <dt>보고 기간</dt>
+            <dd>
+              {report.weekStart} ~ {report.weekEnd}
+            </dd>
+          </div>
+          <div>
+            <dt>작성자</dt>
+            <dd>{author || '-'}</dd>
+          </div>
+          <div>
+            <dt>자료 출처</dt>
+            <dd>{REPORT_SOURCE_LABELS[report.source]}</dd>
+          </div>
+          <div>
+            <dt>작성 일시</dt>
+            <dd>{generatedAt}</dd>
+          </div>
+        </dl>
+      </header>
+
+      <section className="print-sheet__summary">
+        <div>
+          <span>총 내원 환자수</span>
+          <strong>{report.totalVisit.toLocaleString()}</strong>
+        </div>
+        <div>
+          <span>총 발열 환자수</span>
+          <strong>{report.totalFever.toLocaleString()}</strong>
+        </div>
+        <div>
+          <span>전체 발열 비율</span>
+          <strong>{formatPercent(report.overallRatio)}</strong>
+        </div>
+      </section>
+
+      <table className="print-sheet__table">
+        <caption>연령 구분: {report.schemeLabel}</caption>
+        <thead>
+          <tr>
+            <th>구분</th>
+            <th>총 환자수</th>
+            <th>발열 환자수</th>
+            <th>발열 비율</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.groups.map((group) => [
+            <tr key={group.id} className="is-group">
+              <td>{group.label}</td>
+              <td>{group.totalCount}</td>
+              <td>{group.feverCount}</td>
+              <td>{formatPercent(calculateRatio(group.feverCount, group.totalCount))}</td>
+            </tr>,
+            ...(group.children || []).map((child) => (
+              <tr key={`${group.id}-${child.id}`} className="is-child">
+                <td>{child.label}</td>
+                <td>{child.totalCount}</td>
+                <td>{child.feverCount}</td>
+                <td>{formatPercent(calculateRatio(child.feverCount, child.totalCount))}</td>
+              </tr>
+            )),
+          ])}
+        </tbody>
+      </table>
+
+      <section className="print-sheet__chart">
+        <h2>나이대별 발열 비율</h2>
+        <BarChart width={PRINT_CHART_WIDTH} height={PRINT_CHART_HEIGHT} data={chartData}>
+          <XAxis dataKey="label" tick={{ fontSize: 11 }} interval={0} />
+          <YAxis domain={[0, 100]} tickFormatter={(value) => `${value}%`} tick={{ fontSize: 11 }} />
+          <Bar dataKey="ratio" fill="#0b6e4f" isAnimationActive={false} />
+        </BarChart>
+      </section>
+
+      <footer className="print-sheet__notes">
+        <h2>비고</h2>
+        <p>
+          {report.missingDays.length
+            ? `파일 누락으로 0 처리한 날짜: ${report.missingDays.join(', ')}`
+            : '누락된 날짜 없음'}
+        </p>
+      </footer>
+    </article>
+  )
+}
+
+export default PrintReport
@@ -0,0 +1,59 @@
+import { History } from 'lucide-react'
+import { formatPercent } from '../lib/format.js'
+
+// Revisions stored before reasons were recorded show as plain edits.
+const REASON_LABELS = {
+  lateFiles: '늦게 도착한 파일로 다시 집계',
+  reaggregated: '다시 집계',
+  manual: '업로드 결과로 덮어씀',
+}
+
+const formatMissingDays = (missingDays) => (missingDays.length ? missingDays.join(', ') : '없음')
+
+// Each stored revision holds the values before it; the values after it are the
+// next revision's, or the current report's for the latest one.
+const buildRevisionRows = (report) => {
+  const revisions = report.revisions || []
+  return revisions
+    .map((revision, index) => ({
+      revisedAt: revision.revisedAt,
+      reasonLabel: REASON_LABELS[revision.reason] || '수정',
+      before: revision,
+      after: revisions[index + 1] || report,
+    }))
+    .reverse()
+}
+
+function RevisionHistory({ report }) {
+  const rows = buildRevisionRows(report)
+  if (!rows.length) return null
+
+  return (
+    <details className="revision-history">
+      <summary>
+        <History size={16} />
+        수정됨 · {rows.length}회 수정했습니다 (최근 {report.revisedAt})
+      </summary>
+      <ul>
+        {rows.map(({ revisedAt, reasonLabel, before, after }, index) => (
+          <li key={`${revisedAt}-${index}`}>
+            <strong>
+              {revisedAt} · {reasonLabel}
+            </strong>
+            <span>
+              총 내원 {before.totalVisit.toLocaleString()} → {after.totalVisit.toLocaleString()}명 ·
+              발열 {before.totalFever.toLocaleString()} → {after.totalFever.toLocaleString()}명 ·
+              비율 {formatPercent(before.overallRatio)} → {formatPercent(after.overallRatio)}
+            </span>
+            <span>
+              누락 날짜 {formatMissingDays(before.missingDays || [])} →{' '}
+              {formatMissingDays(after.missingDays || [])}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
+
+export default RevisionHistory
@@ -0,0 +1,51 @@
+import { useState } from 'react'
+import { CircleAlert, LogIn } from 'lucide-react'
+
+// `onSignIn(password)` resolves with an error message, or '' once signed in.
+function SignInPanel({ onSignIn }) {
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setIsSubmitting(true)
+    const message = await onSignIn(password)
+    setIsSubmitting(false)
+    setError(message)
+    if (!message) setPassword('')
+  }
+
+  return (
+    <form className="panel sign-in" onSubmit={handleSubmit}>
+      <div className="panel__header">
+        <div>
+          <h2>로그인</h2>
+          <p>의료기관 보고서는 로그인한 사용자만 볼 수 있습니다.</p>
+        </div>
+      </div>
+      <label className="sign-in__field">
+        <span>비밀번호</span>
+        <input
+          type="password"
+          value={password}
+          autoComplete="current-password"
+          autoFocus
+          onChange={(event) => setPassword(event.target.value)}
+        />
+      </label>
+      {error ? (
+        <div className="panel__note panel__note--error">
+          <CircleAlert size={18} />
+          <span>{error}</span>
+        </div>
+      ) : null}
+      <button type="submit" className="panel__action" disabled={!password || isSubmitting}>
+        <LogIn size={16} />
+        {isSubmitting ? '확인 중' : '로그인'}
+      </button>
+    </form>
+  )
+}
+
+export default SignInPanel
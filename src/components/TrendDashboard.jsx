@@ -0,0 +1,235 @@
+import { useMemo, useState } from 'react'
+import { ChartLine } from 'lucide-react'
+import {
+  Bar,
+  ComposedChart,
+  Line,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts'
+import { DEFAULT_SCHEME_ID, getAgeGroupScheme } from '../lib/ageGroupSchemes.js'
+import { calculateRatio, resolveReportGroups } from '../lib/aggregation.js'
+import { GROUP_COLORS } from '../lib/chartColors.js'
+import { formatPercent, formatWeekLabel } from '../lib/format.js'
+
+const DEFAULT_WEEK_COUNT = 12
+const OVERALL_SERIES = { id: 'overall', label: '전체', color: 'var(--ink)' }
+
+const thresholdKey = (seriesId) => `${seriesId}Threshold`
+
+const TrendTooltip = ({ active, payload, series }) => {
+  if (!active || !payload?.length) return null
+  const point = payload[0].payload
+  return (
+    <div className="chart-tooltip">
+      <strong>{formatWeekLabel(point.report)}</strong>
+      <span>
+        총 내원 {point.totalVisit.toLocaleString()}명 · 발열{' '}
+        {point.totalFever.toLocaleString()}명
+      </span>
+      {series.map((item) => {
+        const counts = point.counts[item.id]
+        if (!counts) return null
+        const threshold = point.thresholds[item.id]
+        return (
+          <span key={item.id}>
+            {item.label}: {formatPercent(point[item.id])} ({counts.feverCount}/{counts.totalCount})
+            {threshold
+              ? ` · 기준 ${formatPercent(threshold.threshold)}${threshold.exceeded ? ' 초과' : ''}`
+              : ''}
+          </span>
+        )
+      })}
+    </div>
+  )
+}
+
+function TrendDashboard({ reports, schemeId }) {
+  const weekStarts = useMemo(
+    () => reports.map((report) => report.weekStart).sort(),
+    [reports],
+  )
+  const [fromWeek, setFromWeek] = useState('')
+  const [toWeek, setToWeek] = useState('')
+  const [hiddenSeries, setHiddenSeries] = useState([])
+
+  const rangeEnd = toWeek || weekStarts[weekStarts.length - 1] || ''
+  const defaultStartIndex = Math.max(weekStarts.indexOf(rangeEnd) - DEFAULT_WEEK_COUNT + 1, 0)
+  const rangeStart = fromWeek || weekStarts[defaultStartIndex] || ''
+
+  const series = useMemo(() => {
+    const groups = getAgeGroupScheme(schemeId).groups
+    return [
+      OVERALL_SERIES,
+      ...groups.map((group, index) => ({
+        id: group.id,
+        label: group.label,
+        color: GROUP_COLORS[index % GROUP_COLORS.length],
+      })),
+    ]
+  }, [schemeId])
+
+  const points = useMemo(() => {
+    return reports
+      .filter((report) => report.weekStart >= rangeStart && report.weekStart <= rangeEnd)
+      .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+      .map((report) => {
+        const point = {
+          report,
+          label: report.weekStart.slice(2),
+          totalVisit: report.totalVisit,
+          totalFever: report.totalFever,
+          overall: calculateRatio(report.totalFever, report.totalVisit),
+          counts: {
+            overall: { feverCount: report.totalFever, totalCount: report.totalVisit },
+          },
+          thresholds: {},
+        }
+        if (report.thresholds?.overall) {
+          point.thresholds.overall = report.thresholds.overall
+          point[thresholdKey(OVERALL_SERIES.id)] = report.thresholds.overall.threshold
+        }
+        const { groups, schemeId: resolvedSchemeId } = resolveReportGroups(report, schemeId)
+        if (resolvedSchemeId === schemeId) {
+          const storedScheme = (report.schemeId || DEFAULT_SCHEME_ID) === schemeId
+          groups.forEach((group) => {
+            point[group.id] = calculateRatio(group.feverCount, group.totalCount)
+            point.counts[group.id] = group
+            const threshold = storedScheme ? report.thresholds?.groups?.[group.id] : null
+            if (threshold) {
+              point.thresholds[group.id] = threshold
+              point[thresholdKey(group.id)] = threshold.threshold
+            }
+          })
+        }
+        return point
+      })
+  }, [reports, rangeStart, rangeEnd, schemeId])
+
+  const visibleSeries = series.filter((item) => !hiddenSeries.includes(item.id))
+
+  const toggleSeries = (seriesId) => {
+    setHiddenSeries((previous) =>
+      previous.includes(seriesId)
+        ? previous.filter((item) => item !== seriesId)
+        : [...previous, seriesId],
+    )
+  }
+
+  return (
+    <section className="panel">
+      <div className="panel__header">
+        <div>
+          <h2>주간 추이</h2>
+          <p>
+            주별 발열 비율(선)과 총 내원 환자수(막대)를 함께 확인합니다. 점선은 유행
+            기준입니다.
+          </p>
+        </div>
+        <span className="panel__chip">
+          <ChartLine size={16} />
+          {points.length}주
+        </span>
+      </div>
+      {weekStarts.length ? (
+        <>
+          <div className="trend-controls">
+            <label className="week-selector__field">
+              <span>시작 주</span>
+              <select value={rangeStart} onChange={(event) => setFromWeek(event.target.value)}>
+                {weekStarts.map((weekStart) => (
+                  <option key={weekStart} value={weekStart} disabled={weekStart > rangeEnd}>
+                    {weekStart}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="week-selector__field">
+              <span>종료 주</span>
+              <select value={rangeEnd} onChange={(event) => setToWeek(event.target.value)}>
+                {weekStarts.map((weekStart) => (
+                  <option key={weekStart} value={weekStart} disabled={weekStart < rangeStart}>
+                    {weekStart}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="series-toggle">
+            {series.map((item) => (
+              <button
+                key={item.id}
+                type="button"
+                className={hiddenSeries.includes(item.id) ? '' : 'is-active'}
+                aria-pressed={!hiddenSeries.includes(item.id)}
+                onClick={() => toggleSeries(item.id)}
+              >
+                <i style={{ background: item.color }} />
+                {item.label}
+              </button>
+            ))}
+          </div>
+          <div className="chart-card">
+            <ResponsiveContainer width="100%" height={320}>
+              <ComposedChart data={points}>
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                <YAxis yAxisId="ratio" tickFormatter={(value) => `${value}%`} />
+                <YAxis
+                  yAxisId="visits"
+                  orientation="right"
+                  allowDecimals={false}
+                  tick={{ fontSize: 12 }}
+                />
+                <Tooltip content={<TrendTooltip series={visibleSeries} />} />
+                <Bar
+                  yAxisId="visits"
+                  dataKey="totalVisit"
+                  name="총 내원"
+                  fill="rgba(26, 28, 31, 0.12)"
+                  radius={[6, 6, 0, 0]}
+                />
+                {visibleSeries.map((item) => (
+                  <Line
+                    key={item.id}
+                    yAxisId="ratio"
+                    type="monotone"
+                    dataKey={item.id}
+                    name={item.label}
+                    stroke={item.color}
+                    strokeWidth={item.id === OVERALL_SERIES.id ? 3 : 2}
+                    dot={{ r: 3 }}
+                    connectNulls
+                  />
+                ))}
+                {visibleSeries.map((item) => (
+                  <Line
+                    key={thresholdKey(item.id)}
+                    yAxisId="ratio"
+                    type="stepAfter"
+                    dataKey={thresholdKey(item.id)}
+                    name={`${item.label} 유행 기준`}
+                    stroke={item.color}
+                    strokeDasharray="6 4"
+                    strokeWidth={1.5}
+                    dot={false}
+                    activeDot={false}
+                    connectNulls
+                  />
+                ))}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      ) : (
+        <div className="empty-state">
+          <ChartLine size={28} />
+          <p>저장된 주간 보고서가 쌓이면 추이가 표시됩니다.</p>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default TrendDashboard
@@ -0,0 +1,51 @@
+import { FolderOpen, Pencil, Trash2 } from 'lucide-react'
+
+const summarizeSession = (session) => {
+  const countAges = (kind) =>
+    session.files
+      .filter((file) => file.kind === kind)
+      .reduce((sum, file) => sum + (file.ages?.length || 0), 0)
+  return `파일 ${session.files.length}개 · 내원 ${countAges('visit')}명 · 발열 ${countAges('fever')}명`
+}
+
+function UploadSessions({ sessions, activeId, onOpen, onRename, onDelete }) {
+  if (!sessions.length) return null
+
+  return (
+    <details className="upload-sessions">
+      <summary>저장된 업로드 세션 {sessions.length}개</summary>
+      <ul>
+        {sessions.map((session) => (
+          <li key={session.id} className={session.id === activeId ? 'is-active' : ''}>
+            <div>
+              <strong>{session.name}</strong>
+              <span>
+                {summarizeSession(session)} · 저장 {session.updatedAt}
+              </span>
+            </div>
+            <div className="upload-sessions__actions">
+              <button
+                type="button"
+                onClick={() => onOpen(session)}
+                disabled={session.id === activeId}
+              >
+                <FolderOpen size={14} />
+                {session.id === activeId ? '열려 있음' : '열기'}
+              </button>
+              <button type="button" onClick={() => onRename(session)}>
+                <Pencil size={14} />
+                이름 바꾸기
+              </button>
+              <button type="button" onClick={() => onDelete(session)}>
+                <Trash2 size={14} />
+                삭제
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
+
+export default UploadSessions
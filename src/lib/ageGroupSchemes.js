@@ -0,0 +1,78 @@
+// Named age-group schemes. Each weekly row stores the scheme id it was
+// computed under, so add new schemes here instead of editing existing ones.
+
+export const MIN_AGE = 0
+export const MAX_AGE = 120
+
+export const DEFAULT_SCHEME_ID = 'ili'
+
+const buildDecadeGroups = () => {
+  const groups = []
+  for (let start = 0; start < 80; start += 10) {
+    const end = start + 9
+    groups.push({ id: `${start}-${end}`, label: `${start}-${end}세`, range: [start, end] })
+  }
+  groups.push({ id: '80+', label: '80세 이상', range: [80, MAX_AGE] })
+  return groups
+}
+
+export const AGE_GROUP_SCHEMES = [
+  {
+    id: 'ili',
+    label: '인플루엔자 표본감시 (ILI)',
+    groups: [
+      {
+        id: '0-6',
+        label: '0-6세',
+        range: [0, 6],
+        children: [
+          { id: '0', label: '0세', range: [0, 0] },
+          { id: '1-6', label: '1-6세', range: [1, 6] },
+        ],
+      },
+      {
+        id: '7-18',
+        label: '7-18세',
+        range: [7, 18],
+        children: [
+          { id: '7-12', label: '7-12세', range: [7, 12] },
+          { id: '13-18', label: '13-18세', range: [13, 18] },
+        ],
+      },
+      { id: '19-49', label: '19-49세', range: [19, 49] },
+      { id: '50-64', label: '50-64세', range: [50, 64] },
+      { id: '65+', label: '65세 이상', range: [65, MAX_AGE] },
+    ],
+  },
+  {
+    id: 'school',
+    label: '학교보건 구분',
+    groups: [
+      {
+        id: 'preschool',
+        label: '미취학 (0-6세)',
+        range: [0, 6],
+        children: [
+          { id: 'infant', label: '영아 (0-2세)', range: [0, 2] },
+          { id: 'kindergarten', label: '유아 (3-6세)', range: [3, 6] },
+        ],
+      },
+      { id: 'elementary', label: '초등학생 (7-12세)', range: [7, 12] },
+      { id: 'middle', label: '중학생 (13-15세)', range: [13, 15] },
+      { id: 'high', label: '고등학생 (16-18세)', range: [16, 18] },
+      { id: 'adult', label: '성인 (19세 이상)', range: [19, MAX_AGE] },
+    ],
+  },
+  {
+    id: 'decade',
+    label: '10세 단위',
+    groups: buildDecadeGroups(),
+  },
+]
+
+export const getAgeGroupScheme = (schemeId) => {
+  return (
+    AGE_GROUP_SCHEMES.find((scheme) => scheme.id === schemeId) ||
+    AGE_GROUP_SCHEMES.find((scheme) => scheme.id === DEFAULT_SCHEME_ID)
+  )
+}
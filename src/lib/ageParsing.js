@@ -0,0 +1,114 @@
+// Age cell parser for EMR exports. Understands plain/fractional numbers,
+// Korean unit phrases ("3개월", "1세 4개월", "만 5세") and birth dates, which
+// are converted to 만 나이 relative to the file's date.
+
+import { parseDateLabel, toDateParts } from './dates.js'
+
+const DAYS_PER_YEAR = 365.25
+const WEEKS_PER_YEAR = DAYS_PER_YEAR / 7
+
+const AGE_UNIT_PATTERN =
+  /(\d+(?:\.\d+)?)\s*(세|살|년|개월|달|주|일|years?|yrs?|y|months?|mos?|m|weeks?|w|days?|d)(?![a-z])/gi
+const AGE_FILLER_PATTERN = /[\s,()만약]/g
+const PLAIN_NUMBER_PATTERN = /^\d+(\.\d+)?$/
+const COMPACT_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/
+const SEPARATED_DATE_PATTERN = /^(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})\s*일?$/
+
+const UNIT_TO_YEARS = {
+  year: 1,
+  month: 1 / 12,
+  week: 1 / WEEKS_PER_YEAR,
+  day: 1 / DAYS_PER_YEAR,
+}
+
+const resolveAgeUnit = (unit) => {
+  const normalized = unit.toLowerCase()
+  if (['세', '살', '년'].includes(normalized) || normalized.startsWith('y')) return 'year'
+  if (['개월', '달'].includes(normalized) || normalized.startsWith('m')) return 'month'
+  if (normalized === '주' || normalized.startsWith('w')) return 'week'
+  return 'day'
+}
+
+const matchBirthDate = (text) => {
+  const match = text.match(COMPACT_DATE_PATTERN) || text.match(SEPARATED_DATE_PATTERN)
+  if (!match) return null
+  const year = Number(match[1])
+  if (year < 1900 || year > 2100) return null
+  return toDateParts(year, Number(match[2]), Number(match[3]))
+}
+
+const fullYearsBetween = (birth, reference) => {
+  let years = reference.year - birth.year
+  if (
+    reference.month < birth.month ||
+    (reference.month === birth.month && reference.day < birth.day)
+  ) {
+    years -= 1
+  }
+  return years
+}
+
+const ageFromBirthDate = (birth, reference) => {
+  if (!reference) return { error: 'reference' }
+  const years = fullYearsBetween(birth, reference)
+  if (years < 0) return { error: 'range' }
+  return { age: years, kind: 'birthDate' }
+}
+
+const interpretAgeText = (text, reference) => {
+  const birth = matchBirthDate(text)
+  if (birth) return ageFromBirthDate(birth, reference)
+
+  if (PLAIN_NUMBER_PATTERN.test(text)) {
+    return { age: Math.floor(Number(text)), kind: 'number' }
+  }
+
+  let years = 0
+  let matched = false
+  const leftover = text.replace(AGE_UNIT_PATTERN, (token, amount, unit) => {
+    matched = true
+    years += Number(amount) * UNIT_TO_YEARS[resolveAgeUnit(unit)]
+    return ''
+  })
+  if (!matched || leftover.replace(AGE_FILLER_PATTERN, '')) {
+    return { error: 'format' }
+  }
+  return { age: Math.floor(years + 1e-9), kind: 'unit' }
+}
+
+// Returns `{ age, kind }` on success or `{ error }` where error is one of
+// 'empty', 'text' (no digits, e.g. a header cell), 'format', 'reference'
+// (birth date without a reference date) or 'range' (birth date after the
+// reference date).
+export const interpretAge = (value, referenceDate = null) => {
+  const reference =
+    typeof referenceDate === 'string' ? parseDateLabel(referenceDate) : referenceDate
+  if (value === null || value === undefined) return { error: 'empty' }
+
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    if (Number.isNaN(value.getTime())) return { error: 'format' }
+    const birth = toDateParts(value.getFullYear(), value.getMonth() + 1, value.getDate())
+    return ageFromBirthDate(birth, reference)
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) return { error: 'format' }
+    const birth = Number.isInteger(value) ? matchBirthDate(String(value)) : null
+    if (birth) return ageFromBirthDate(birth, reference)
+    return { age: Math.floor(value), kind: 'number' }
+  }
+
+  if (typeof value === 'string') {
+    const text = value.trim()
+    if (!text) return { error: 'empty' }
+    if (!/\d/.test(text)) return { error: 'text' }
+    return interpretAgeText(text, reference)
+  }
+
+  return { error: 'format' }
+}
+
+export const parseAge = (value, referenceDate = null) => {
+  const result = interpretAge(value, referenceDate)
+  return result.error ? null : result.age
+}
@@ -0,0 +1,328 @@
+// Pure aggregation core shared by the app, the API and the Apps Script bundle.
+// Keep this file free of browser/Node APIs: `npm run build:gas` concatenates it
+// into scripts/apps-script/shared.gs.
+
+import { interpretAge } from './ageParsing.js'
+import { getWeekdayLabel } from './dates.js'
+import { DEFAULT_SCHEME_ID, MAX_AGE, MIN_AGE, getAgeGroupScheme } from './ageGroupSchemes.js'
+import { UNKNOWN_CATEGORY, getDimension, sortCategories } from './dimensions.js'
+
+export const isValidAge = (age) => age !== null && age >= MIN_AGE && age <= MAX_AGE
+
+const IGNORED_AGE_ERRORS = ['empty', 'text']
+
+// Reads one column of cells and returns the valid ages plus every cell that
+// looked like data but could not be turned into an age. `row` is 1-based and
+// counted from `rowOffset`, so callers passing a slice can report sheet rows.
+export const extractAges = (values, referenceDate = null, rowOffset = 0) => {
+  const ages = []
+  const unparsed = []
+  values.forEach((value, index) => {
+    const result = interpretAge(value, referenceDate)
+    if (result.error) {
+      if (!IGNORED_AGE_ERRORS.includes(result.error)) {
+        unparsed.push({ row: rowOffset + index + 1, value: String(value), reason: result.error })
+      }
+      return
+    }
+    if (isValidAge(result.age)) {
+      ages.push(result.age)
+    } else {
+      unparsed.push({ row: rowOffset + index + 1, value: String(value), reason: 'range' })
+    }
+  })
+  return { ages, unparsed }
+}
+
+const isInRange = (age, range) => age >= range[0] && age <= range[1]
+
+export const buildCounts = (ages, groups = getAgeGroupScheme(DEFAULT_SCHEME_ID).groups) => {
+  const counts = groups.map((group) => ({
+    id: group.id,
+    label: group.label,
+    range: group.range,
+    count: 0,
+    children: (group.children || []).map((child) => ({
+      id: child.id,
+      label: child.label,
+      range: child.range,
+      count: 0,
+    })),
+  }))
+
+  ages.forEach((age) => {
+    counts.forEach((group) => {
+      if (isInRange(age, group.range)) {
+        group.count += 1
+        group.children.forEach((child) => {
+          if (isInRange(age, child.range)) {
+            child.count += 1
+          }
+        })
+      }
+    })
+  })
+
+  return counts
+}
+
+export const combineCounts = (visitCounts, feverCounts) => {
+  return visitCounts.map((group) => {
+    const feverGroup = feverCounts.find((item) => item.id === group.id) || {
+      count: 0,
+      children: [],
+    }
+
+    return {
+      id: group.id,
+      label: group.label,
+      totalCount: group.count,
+      feverCount: feverGroup.count || 0,
+      children: group.children.map((child) => {
+        const feverChild = feverGroup.children?.find((item) => item.id === child.id) || {}
+        return {
+          id: child.id,
+          label: child.label,
+          totalCount: child.count,
+          feverCount: feverChild.count || 0,
+        }
+      }),
+    }
+  })
+}
+
+export const calculateRatio = (feverCount, totalCount) => {
+  return totalCount ? (feverCount / totalCount) * 100 : 0
+}
+
+export const summarizeAges = (visitAges, feverAges, schemeId = DEFAULT_SCHEME_ID) => {
+  const scheme = getAgeGroupScheme(schemeId)
+  const totalVisit = visitAges.length
+  const totalFever = feverAges.length
+  return {
+    schemeId: scheme.id,
+    totalVisit,
+    totalFever,
+    overallRatio: calculateRatio(totalFever, totalVisit),
+    groups: combineCounts(
+      buildCounts(visitAges, scheme.groups),
+      buildCounts(feverAges, scheme.groups),
+    ),
+  }
+}
+
+// Single-year age counts (`{ "5": 12 }`) are stored with each week so it can
+// be re-bucketed under a different scheme later.
+export const buildAgeHistogram = (ages) => {
+  return ages.reduce((acc, age) => {
+    acc[age] = (acc[age] || 0) + 1
+    return acc
+  }, {})
+}
+
+export const expandAgeHistogram = (histogram) => {
+  const ages = []
+  Object.keys(histogram || {}).forEach((key) => {
+    const age = Number(key)
+    const count = Number(histogram[key]) || 0
+    for (let index = 0; index < count; index += 1) {
+      ages.push(age)
+    }
+  })
+  return ages
+}
+
+export const regroupAgeHistogram = (ageHistogram, schemeId) => {
+  return summarizeAges(
+    expandAgeHistogram(ageHistogram?.visit),
+    expandAgeHistogram(ageHistogram?.fever),
+    schemeId,
+  )
+}
+
+// Unique-patient counting. `patients` lists `{ id, age }` per visit row, read
+// from a 차트번호/환자번호 column; the ids only live in memory and are never
+// stored. Rows without an id count as separate patients.
+const dedupePatients = (patients) => {
+  const seen = new Set()
+  return patients.filter((patient) => {
+    if (!patient.id) return true
+    if (seen.has(patient.id)) return false
+    seen.add(patient.id)
+    return true
+  })
+}
+
+// Days carry `visitPatients` / `feverPatients` only when unique counting is on
+// and every file had an id column.
+export const hasPatientIds = (days) => {
+  return days.every((day) => Array.isArray(day.visitPatients) && Array.isArray(day.feverPatients))
+}
+
+// Each patient counts once for the week, at the age of their first visit.
+export const summarizeUniquePatients = (days, schemeId = DEFAULT_SCHEME_ID) => {
+  const sortedDays = [...days].sort((a, b) => String(a.date).localeCompare(String(b.date)))
+  const visitAges = dedupePatients(sortedDays.flatMap((day) => day.visitPatients)).map(
+    (patient) => patient.age,
+  )
+  const feverAges = dedupePatients(sortedDays.flatMap((day) => day.feverPatients)).map(
+    (patient) => patient.age,
+  )
+  const summary = summarizeAges(visitAges, feverAges, schemeId)
+  return {
+    totalVisit: summary.totalVisit,
+    totalFever: summary.totalFever,
+    overallRatio: summary.overallRatio,
+    groups: summary.groups,
+    ageHistogram: {
+      visit: buildAgeHistogram(visitAges),
+      fever: buildAgeHistogram(feverAges),
+    },
+  }
+}
+
+// Age × category cross-tabs for the dimensions in `dimensionIds`. `records`
+// are the `{ age, values }` rows read with extractColumnDimensions. Each
+// category keeps an age histogram so it can be grouped under any scheme.
+export const buildDimensionBreakdowns = (visitRecords, feverRecords, dimensionIds) => {
+  return dimensionIds
+    .map((dimensionId) => getDimension(dimensionId))
+    .filter(Boolean)
+    .map((dimension) => {
+      const agesByCategory = new Map()
+      const addRecords = (records, key) => {
+        records.forEach((record) => {
+          const category = record.values?.[dimension.id] || UNKNOWN_CATEGORY
+          if (!agesByCategory.has(category)) {
+            agesByCategory.set(category, { visit: [], fever: [] })
+          }
+          agesByCategory.get(category)[key].push(record.age)
+        })
+      }
+      addRecords(visitRecords, 'visit')
+      addRecords(feverRecords, 'fever')
+
+      const categories = sortCategories(dimension, Array.from(agesByCategory.keys())).map(
+        (value) => {
+          const ages = agesByCategory.get(value)
+          return {
+            value,
+            totalVisit: ages.visit.length,
+            totalFever: ages.fever.length,
+            ageHistogram: {
+              visit: buildAgeHistogram(ages.visit),
+              fever: buildAgeHistogram(ages.fever),
+            },
+          }
+        },
+      )
+      return { id: dimension.id, label: dimension.label, categories }
+    })
+}
+
+// A stored breakdown with each category's `groups` under `schemeId`.
+export const resolveDimensionGroups = (breakdown, schemeId) => {
+  return {
+    ...breakdown,
+    categories: breakdown.categories.map((category) => ({
+      ...category,
+      groups: regroupAgeHistogram(category.ageHistogram, schemeId).groups,
+    })),
+  }
+}
+
+// `days` is a list of `{ date, visitAges, feverAges }`. Each day keeps only
+// top-level group counts to keep `daily_json` small; `uniqueVisit` and
+// `uniqueFever` are added when the day has patient ids.
+export const buildDailyBreakdown = (days, schemeId = DEFAULT_SCHEME_ID) => {
+  return days
+    .map((day) => {
+      const summary = summarizeAges(day.visitAges || [], day.feverAges || [], schemeId)
+      const entry = {
+        date: day.date,
+        weekday: getWeekdayLabel(day.date),
+        totalVisit: summary.totalVisit,
+        totalFever: summary.totalFever,
+        overallRatio: summary.overallRatio,
+        groups: summary.groups.map((group) => ({
+          id: group.id,
+          label: group.label,
+          totalCount: group.totalCount,
+          feverCount: group.feverCount,
+        })),
+      }
+      if (hasPatientIds([day])) {
+        entry.uniqueVisit = dedupePatients(day.visitPatients).length
+        entry.uniqueFever = dedupePatients(day.feverPatients).length
+      }
+      return entry
+    })
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+}
+
+// The `weekly_reports` row for one week. `days` lists the Mon-Sat
+// `{ date, visitAges, feverAges }` (plus `visitPatients` / `feverPatients` for
+// unique counting and `visitRecords` / `feverRecords` for the `dimensionIds`
+// cross-tabs) and `missingDays` the dates with a missing file; shared by the
+// Apps Script and the folder CLI.
+export const buildWeeklyReport = ({
+  weekStart,
+  weekEnd,
+  days,
+  missingDays,
+  schemeId = DEFAULT_SCHEME_ID,
+  createdAt,
+  source,
+  dimensionIds = [],
+}) => {
+  const visitAges = days.flatMap((day) => day.visitAges)
+  const feverAges = days.flatMap((day) => day.feverAges)
+  const summary = summarizeAges(visitAges, feverAges, schemeId)
+  return {
+    weekStart,
+    weekEnd,
+    totalVisit: summary.totalVisit,
+    totalFever: summary.totalFever,
+    overallRatio: summary.overallRatio,
+    groups: summary.groups,
+    missingDays: [...missingDays].sort(),
+    createdAt,
+    schemeId: summary.schemeId,
+    ageHistogram: {
+      visit: buildAgeHistogram(visitAges),
+      fever: buildAgeHistogram(feverAges),
+    },
+    daily: buildDailyBreakdown(days, summary.schemeId),
+    unique: hasPatientIds(days) ? summarizeUniquePatients(days, summary.schemeId) : null,
+    dimensions: buildDimensionBreakdowns(
+      days.flatMap((day) => day.visitRecords || []),
+      days.flatMap((day) => day.feverRecords || []),
+      dimensionIds,
+    ),
+    source,
+  }
+}
+
+// Groups for a stored week under `schemeId`: the stored groups when the scheme
+// matches, re-bucketed from the age histogram when available, otherwise the
+// stored groups under the scheme they were computed with.
+export const resolveReportGroups = (report, schemeId) => {
+  const storedSchemeId = report.schemeId || DEFAULT_SCHEME_ID
+  if (storedSchemeId === schemeId) {
+    return { groups: report.groups || [], schemeId }
+  }
+  if (report.ageHistogram) {
+    return { groups: regroupAgeHistogram(report.ageHistogram, schemeId).groups, schemeId }
+  }
+  return { groups: report.groups || [], schemeId: storedSchemeId }
+}
+
+// Unique-patient totals and groups for a stored week under `schemeId`, or
+// null when the week was counted without patient ids.
+export const resolveUniqueSummary = (report, schemeId) => {
+  if (!report.unique) return null
+  if ((report.schemeId || DEFAULT_SCHEME_ID) === schemeId && report.unique.groups) {
+    return report.unique
+  }
+  return { ...report.unique, ...regroupAgeHistogram(report.unique.ageHistogram, schemeId) }
+}
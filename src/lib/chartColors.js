@@ -0,0 +1,11 @@
+export const GROUP_COLORS = [
+  '#0b6e4f',
+  '#f2a459',
+  '#3b82b8',
+  '#c0504d',
+  '#8064a2',
+  '#4bacc6',
+  '#9bbb59',
+  '#d49a2a',
+  '#6b7280',
+]
@@ -0,0 +1,251 @@
+// Finds the age column in exported sheets. `sheets` is a list of
+// `{ name, rows }` where rows are 2D cell arrays (SheetJS `header: 1` output in
+// the browser, `getValues()` in Apps Script).
+
+import { parseAge } from './ageParsing.js'
+import { extractAges, isValidAge } from './aggregation.js'
+import { DIMENSIONS } from './dimensions.js'
+
+export const LEGACY_AGE_COLUMN_INDEX = 3
+
+// Ordered by preference: an explicit 만나이 column wins over a birth date.
+export const AGE_HEADER_KEYWORDS = ['만나이', '나이', '연령', 'age', '생년월일', 'birthdate', 'dob']
+
+// Headers of the column used to count unique patients.
+export const PATIENT_ID_HEADER_KEYWORDS = ['차트번호', '환자번호']
+
+const HEADER_SCAN_ROWS = 10
+const PREVIEW_ROW_COUNT = 5
+
+const normalizeHeader = (value) => {
+  if (value === null || value === undefined) return ''
+  return String(value).replace(/\s+/g, '').toLowerCase()
+}
+
+const MAX_HEADER_EXTRA_CHARS = 3
+
+// "나이(세)" and "환자나이" match, a title cell like "환자 나이별 현황" does not.
+const matchesHeaderKeyword = (header, keyword) => {
+  if (/^[a-z]+$/.test(keyword)) {
+    return new RegExp(`(^|[^a-z])${keyword}([^a-z]|$)`).test(header)
+  }
+  if (header.length > keyword.length + MAX_HEADER_EXTRA_CHARS) return false
+  return header.startsWith(keyword) || header.endsWith(keyword)
+}
+
+const formatCellText = (value) => {
+  if (value === null || value === undefined) return ''
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    const month = String(value.getMonth() + 1).padStart(2, '0')
+    const day = String(value.getDate()).padStart(2, '0')
+    return `${value.getFullYear()}-${month}-${day}`
+  }
+  return String(value).trim()
+}
+
+export const columnLabel = (index) => {
+  let label = ''
+  let current = index + 1
+  while (current > 0) {
+    const remainder = (current - 1) % 26
+    label = String.fromCharCode(65 + remainder) + label
+    current = Math.floor((current - 1) / 26)
+  }
+  return label
+}
+
+export const getColumnCount = (rows) => {
+  return rows.reduce((max, row) => Math.max(max, row ? row.length : 0), 0)
+}
+
+const findHeaderCells = (rows) => {
+  const matches = []
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, rowIndex) => {
+    const cells = row || []
+    cells.forEach((cell, columnIndex) => {
+      const header = normalizeHeader(cell)
+      if (!header) return
+      const rank = AGE_HEADER_KEYWORDS.findIndex((keyword) =>
+        matchesHeaderKeyword(header, keyword),
+      )
+      if (rank !== -1) {
+        matches.push({ rank, rowIndex, columnIndex, header: String(cell).trim() })
+      }
+    })
+  })
+  return matches.sort((a, b) => a.rank - b.rank || a.rowIndex - b.rowIndex)
+}
+
+// Column index of the first header matching one of `keywords`, or -1.
+const findKeywordColumn = (rows, keywords) => {
+  const headerRows = rows.slice(0, HEADER_SCAN_ROWS)
+  for (let rowIndex = 0; rowIndex < headerRows.length; rowIndex += 1) {
+    const cells = headerRows[rowIndex] || []
+    const columnIndex = cells.findIndex((cell) => {
+      const header = normalizeHeader(cell)
+      return Boolean(header) && keywords.some((keyword) => matchesHeaderKeyword(header, keyword))
+    })
+    if (columnIndex !== -1) return columnIndex
+  }
+  return -1
+}
+
+// Column index of a 차트번호/환자번호 header, or -1.
+export const findPatientIdColumn = (rows) => findKeywordColumn(rows, PATIENT_ID_HEADER_KEYWORDS)
+
+// `{ [dimensionId]: columnIndex }` for the dimensions with a matching header.
+export const findDimensionColumns = (rows) => {
+  return DIMENSIONS.reduce((acc, dimension) => {
+    const column = findKeywordColumn(rows, dimension.headerKeywords)
+    if (column !== -1) acc[dimension.id] = column
+    return acc
+  }, {})
+}
+
+// The rows below the header with a valid age, as `{ row, age }`.
+const readAgeRows = (rows, selection, referenceDate) => {
+  const ageRows = []
+  for (let index = selection.headerRow + 1; index < rows.length; index += 1) {
+    const row = rows[index] || []
+    const age = parseAge(row[selection.column], referenceDate)
+    if (isValidAge(age)) ageRows.push({ row, age })
+  }
+  return ageRows
+}
+
+// `{ id, age }` for every row with a valid age, read from `selection.idColumn`.
+// The ids are for de-duplication in memory only.
+export const extractColumnPatients = (rows, selection, referenceDate = null) => {
+  return readAgeRows(rows, selection, referenceDate).map(({ row, age }) => ({
+    id: formatCellText(row[selection.idColumn]),
+    age,
+  }))
+}
+
+// `{ age, values }` for every row with a valid age, where `values` maps each
+// dimension in `selection.dimensionColumns` to its normalized category.
+export const extractColumnDimensions = (rows, selection, referenceDate = null) => {
+  const columns = selection.dimensionColumns || {}
+  const dimensions = DIMENSIONS.filter((dimension) => dimension.id in columns)
+  return readAgeRows(rows, selection, referenceDate).map(({ row, age }) => ({
+    age,
+    values: dimensions.reduce((acc, dimension) => {
+      acc[dimension.id] = dimension.normalize(row[columns[dimension.id]])
+      return acc
+    }, {}),
+  }))
+}
+
+export const extractColumnAges = (rows, selection, referenceDate = null) => {
+  const startRow = selection.headerRow + 1
+  const values = rows.slice(startRow).map((row) => (row ? row[selection.column] : null))
+  return extractAges(values, referenceDate, startRow)
+}
+
+const countColumnAges = (rows, column, headerRow, referenceDate) => {
+  return extractColumnAges(rows, { column, headerRow }, referenceDate).ages.length
+}
+
+// The best-ranked header whose column holds ages wins. Without one, keep the
+// legacy D column when it holds ages (a 순번 column would otherwise win), else
+// take the column with the most ages.
+export const detectAgeColumn = (rows, referenceDate = null) => {
+  const headerCells = findHeaderCells(rows)
+  for (let index = 0; index < headerCells.length; index += 1) {
+    const headerCell = headerCells[index]
+    const ageCount = countColumnAges(
+      rows,
+      headerCell.columnIndex,
+      headerCell.rowIndex,
+      referenceDate,
+    )
+    if (ageCount) {
+      return {
+        column: headerCell.columnIndex,
+        headerRow: headerCell.rowIndex,
+        header: headerCell.header,
+        method: 'header',
+        ageCount,
+        idColumn: findPatientIdColumn(rows),
+        dimensionColumns: findDimensionColumns(rows),
+      }
+    }
+  }
+
+  const legacyCount = countColumnAges(rows, LEGACY_AGE_COLUMN_INDEX, -1, referenceDate)
+  let best = { column: LEGACY_AGE_COLUMN_INDEX, ageCount: legacyCount }
+  if (!legacyCount) {
+    const columnCount = getColumnCount(rows)
+    for (let column = 0; column < columnCount; column += 1) {
+      const ageCount = countColumnAges(rows, column, -1, referenceDate)
+      if (ageCount > best.ageCount) {
+        best = { column, ageCount }
+      }
+    }
+  }
+  return {
+    column: best.column,
+    headerRow: -1,
+    header: '',
+    method: 'content',
+    ageCount: best.ageCount,
+    idColumn: findPatientIdColumn(rows),
+    dimensionColumns: findDimensionColumns(rows),
+  }
+}
+
+const isBetterDetection = (candidate, current) => {
+  if (!current) return true
+  if (candidate.method !== current.method) return candidate.method === 'header'
+  return candidate.ageCount > current.ageCount
+}
+
+export const detectAgeSource = (sheets, referenceDate = null) => {
+  let best = null
+  sheets.forEach((sheet) => {
+    const candidate = { sheetName: sheet.name, ...detectAgeColumn(sheet.rows, referenceDate) }
+    if (isBetterDetection(candidate, best)) {
+      best = candidate
+    }
+  })
+  return best
+}
+
+// `override` is `{ sheetName, column }` picked by the user; either may be left
+// out to keep the detected value.
+export const resolveAgeSource = (sheets, referenceDate = null, override = null) => {
+  const detected = detectAgeSource(sheets, referenceDate)
+  if (!override || !detected) return detected
+
+  const sheetName = override.sheetName || detected.sheetName
+  const sheet = sheets.find((item) => item.name === sheetName)
+  if (!sheet) return detected
+  const detection = detectAgeColumn(sheet.rows, referenceDate)
+  const column = Number.isInteger(override.column) ? override.column : detection.column
+  const headerRow = detection.headerRow
+  return {
+    sheetName: sheet.name,
+    column,
+    headerRow,
+    header: headerRow >= 0 ? formatCellText(sheet.rows[headerRow]?.[column]) : '',
+    method: 'manual',
+    ageCount: countColumnAges(sheet.rows, column, headerRow, referenceDate),
+    idColumn: detection.idColumn,
+    dimensionColumns: detection.dimensionColumns,
+  }
+}
+
+export const buildColumnPreview = (rows, selection, referenceDate = null) => {
+  const preview = []
+  for (let index = selection.headerRow + 1; index < rows.length; index += 1) {
+    const value = rows[index] ? rows[index][selection.column] : null
+    if (value === null || value === undefined || value === '') continue
+    preview.push({
+      row: index + 1,
+      value: formatCellText(value),
+      age: parseAge(value, referenceDate),
+    })
+    if (preview.length >= PREVIEW_ROW_COUNT) break
+  }
+  return preview
+}
@@ -0,0 +1,73 @@
+// Changes of one week against a comparison week: counts as absolute and
+// relative change, fever ratios as percentage points. The default comparisons
+// are the previous week and the same ISO week of the previous year.
+
+import { calculateRatio, resolveReportGroups } from './aggregation.js'
+import { addDays, getIsoWeek } from './dates.js'
+
+export const findPreviousWeek = (weekStart, reports) => {
+  const previousStart = addDays(weekStart, -7)
+  return reports.find((report) => report.weekStart === previousStart) || null
+}
+
+export const findSameWeekLastYear = (weekStart, reports) => {
+  const isoWeek = getIsoWeek(weekStart)
+  if (!isoWeek) return null
+  return (
+    reports.find((report) => {
+      const other = getIsoWeek(report.weekStart)
+      return other && other.year === isoWeek.year - 1 && other.week === isoWeek.week
+    }) || null
+  )
+}
+
+const compareCount = (current, baseline) => ({
+  diff: current - baseline,
+  change: baseline ? ((current - baseline) / baseline) * 100 : null,
+})
+
+const compareCounts = (current, baseline) => ({
+  total: compareCount(current.totalCount, baseline.totalCount),
+  fever: compareCount(current.feverCount, baseline.feverCount),
+  ratioPoints:
+    calculateRatio(current.feverCount, current.totalCount) -
+    calculateRatio(baseline.feverCount, baseline.totalCount),
+})
+
+// `current` is `{ totalVisit, totalFever, groups }` with groups under
+// `schemeId`. Group changes are keyed by group id and `groupId/childId`, and
+// are left out when `baseline` cannot be regrouped under `schemeId`.
+export const compareWeeks = (current, baseline, schemeId) => {
+  const overall = compareCounts(
+    { totalCount: current.totalVisit, feverCount: current.totalFever },
+    { totalCount: baseline.totalVisit, feverCount: baseline.totalFever },
+  )
+  const groups = new Map()
+  const baselineGrouping = resolveReportGroups(baseline, schemeId)
+  if (baselineGrouping.schemeId !== schemeId) return { overall, groups }
+
+  current.groups.forEach((group) => {
+    const baselineGroup = baselineGrouping.groups.find((entry) => entry.id === group.id)
+    if (!baselineGroup) return
+    groups.set(group.id, compareCounts(group, baselineGroup))
+    const children = group.children || []
+    children.forEach((child) => {
+      const baselineChild = (baselineGroup.children || []).find((entry) => entry.id === child.id)
+      if (baselineChild) groups.set(`${group.id}/${child.id}`, compareCounts(child, baselineChild))
+    })
+  })
+  return { overall, groups }
+}
+
+const formatSigned = (value, digits = 0) => {
+  const text = Math.abs(value).toFixed(digits)
+  if (Number(text) === 0) return `±${text}`
+  return value > 0 ? `+${text}` : `-${text}`
+}
+
+export const formatCountChange = ({ diff, change }) => {
+  const relative = change === null ? '' : ` (${formatSigned(change, 1)}%)`
+  return `${formatSigned(diff)}${relative}`
+}
+
+export const formatRatioChange = (ratioPoints) => `${formatSigned(ratioPoints, 1)}%p`
@@ -0,0 +1,124 @@
+// Consistency checks between the visit and fever files of one week. Fever
+// patients are a subset of visits, so a day or age group with more fever than
+// visits points at a wrong or mismatched file. Issues are plain objects so they
+// can be stored with the weekly row (`quality_json`).
+
+import { MAX_AGE, MIN_AGE } from './ageGroupSchemes.js'
+import { addDays, getWeekdayLabel } from './dates.js'
+
+export const QUALITY_OPTIONS = {
+  // A day is flagged when its visits fall below `dropRatio` × the mean of the
+  // same weekday in the previous `baselineWeeks` weeks. The mean needs at least
+  // `minBaselineWeeks` stored days and `minBaselineVisits` visits.
+  dropRatio: 0.5,
+  baselineWeeks: 4,
+  minBaselineWeeks: 2,
+  minBaselineVisits: 10,
+}
+
+const FILE_KIND_LABELS = { visit: '총환자수', fever: '발열환자수' }
+
+// `{ [date]: totalVisit }` for the stored days that had their files.
+const buildVisitHistory = (history) => {
+  return history.reduce((acc, report) => {
+    const missing = report.missingDays || []
+    const days = report.daily || []
+    days.forEach((day) => {
+      if (!missing.includes(day.date)) acc[day.date] = day.totalVisit
+    })
+    return acc
+  }, {})
+}
+
+const findVolumeDrop = (day, visitHistory, options) => {
+  const samples = []
+  for (let week = 1; week <= options.baselineWeeks; week += 1) {
+    const visits = visitHistory[addDays(day.date, -7 * week)]
+    if (Number.isFinite(visits)) samples.push(visits)
+  }
+  if (samples.length < options.minBaselineWeeks) return null
+  const baseline = samples.reduce((sum, visits) => sum + visits, 0) / samples.length
+  if (baseline < options.minBaselineVisits || day.totalVisit >= baseline * options.dropRatio) {
+    return null
+  }
+  return {
+    type: 'volumeDrop',
+    date: day.date,
+    visit: day.totalVisit,
+    baseline: Math.round(baseline * 10) / 10,
+  }
+}
+
+// - `daily`: the week's `daily` entries (`{ date, totalVisit, totalFever, groups }`)
+// - `missingDays`: dates with a missing file
+// - `fileDates`: `{ visit, fever }` dates that have a file, when known
+// - `droppedAges`: `{ date, kind, count }` ages outside MIN_AGE..MAX_AGE that were left out
+// - `history`: other stored weeks, for the weekday volume baseline
+// Returns a list of `{ type, date, ... }` issues, see `describeQualityIssue`.
+export const checkDataQuality = ({
+  daily,
+  missingDays = [],
+  fileDates = null,
+  droppedAges = [],
+  history = [],
+  options = QUALITY_OPTIONS,
+}) => {
+  const issues = []
+  const feverOnlyDates = fileDates
+    ? fileDates.fever.filter((date) => !fileDates.visit.includes(date))
+    : []
+  feverOnlyDates.forEach((date) => issues.push({ type: 'feverWithoutVisit', date }))
+
+  const visitHistory = buildVisitHistory(history)
+  daily.forEach((day) => {
+    if (feverOnlyDates.includes(day.date)) return
+    if (day.totalFever > day.totalVisit) {
+      issues.push({
+        type: 'feverExceedsVisit',
+        date: day.date,
+        group: null,
+        visit: day.totalVisit,
+        fever: day.totalFever,
+      })
+    }
+    const groups = day.groups || []
+    groups.forEach((group) => {
+      if (group.feverCount > group.totalCount) {
+        issues.push({
+          type: 'feverExceedsVisit',
+          date: day.date,
+          group: group.label,
+          visit: group.totalCount,
+          fever: group.feverCount,
+        })
+      }
+    })
+    if (!missingDays.includes(day.date)) {
+      const drop = findVolumeDrop(day, visitHistory, options)
+      if (drop) issues.push(drop)
+    }
+  })
+
+  droppedAges
+    .filter((entry) => entry.count > 0)
+    .forEach((entry) => issues.push({ type: 'agesDropped', ...entry }))
+
+  return issues
+}
+
+export const describeQualityIssue = (issue) => {
+  const dateLabel = `${issue.date} (${getWeekdayLabel(issue.date)})`
+  if (issue.type === 'feverExceedsVisit') {
+    return `${dateLabel} ${issue.group || '전체'}: 발열 ${issue.fever}명이 내원 ${issue.visit}명보다 많습니다.`
+  }
+  if (issue.type === 'feverWithoutVisit') {
+    return `${dateLabel}: 발열환자수 파일만 있고 총환자수 파일이 없습니다.`
+  }
+  if (issue.type === 'volumeDrop') {
+    return `${dateLabel}: 내원 ${issue.visit}명으로 최근 같은 요일 평균 ${issue.baseline}명보다 크게 줄었습니다.`
+  }
+  if (issue.type === 'agesDropped') {
+    return `${dateLabel} ${FILE_KIND_LABELS[issue.kind]}: ${MIN_AGE}~${MAX_AGE}세 범위를 벗어난 나이 ${issue.count}건을 집계에서 제외했습니다.`
+  }
+  return `${dateLabel}: ${issue.type}`
+}
@@ -0,0 +1,61 @@
+// Calendar-date helpers on `YYYY-MM-DD` labels. Dates are handled as plain
+// `{ year, month, day }` parts so results do not depend on the runtime's
+// timezone.
+
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토']
+
+export const toDateParts = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null
+  }
+  return { year, month, day }
+}
+
+export const parseDateLabel = (value) => {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (!match) return null
+  return toDateParts(Number(match[1]), Number(match[2]), Number(match[3]))
+}
+
+export const getWeekdayLabel = (dateLabel) => {
+  const parts = parseDateLabel(dateLabel)
+  if (!parts) return ''
+  return WEEKDAY_LABELS[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()]
+}
+
+// ISO-8601 week of a `YYYY-MM-DD` label (weeks start on Monday, week 1 holds
+// the year's first Thursday).
+export const getIsoWeek = (dateLabel) => {
+  const parts = parseDateLabel(dateLabel)
+  if (!parts) return null
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day))
+  const dayIndex = (date.getUTCDay() + 6) % 7
+  date.setUTCDate(date.getUTCDate() - dayIndex + 3)
+  const year = date.getUTCFullYear()
+  const firstThursday = new Date(Date.UTC(year, 0, 4))
+  firstThursday.setUTCDate(firstThursday.getUTCDate() - ((firstThursday.getUTCDay() + 6) % 7) + 3)
+  const week = 1 + Math.round((date - firstThursday) / (7 * 24 * 60 * 60 * 1000))
+  return { year, week }
+}
+
+export const addDays = (dateLabel, days) => {
+  const parts = parseDateLabel(dateLabel)
+  if (!parts) return ''
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days))
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0')
+  const day = String(date.getUTCDate()).padStart(2, '0')
+  return `${date.getUTCFullYear()}-${month}-${day}`
+}
+
+// Monday of the week containing `dateLabel`.
+export const getWeekStart = (dateLabel) => {
+  const parts = parseDateLabel(dateLabel)
+  if (!parts) return ''
+  const dayIndex = (new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() + 6) % 7
+  return addDays(dateLabel, -dayIndex)
+}
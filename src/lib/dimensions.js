@@ -0,0 +1,58 @@
+// Categorical columns that can be cross-tabulated with the age groups. Each
+// dimension turns a raw cell into a category label (null when it cannot);
+// only those labels are kept, never the raw cells. Add a dimension here to
+// make it available to the Apps Script, the folder CLI and upload mode.
+
+export const UNKNOWN_CATEGORY = '미상'
+
+// 남/남자/남성, M/male and 1 or 3 read as 남; 여/여자/여성, F/female and 2 or 4
+// as 여. 1-4 are the sex digit of a 주민등록번호 (3/4 for those born in 2000
+// or later), which some EMRs export on its own.
+const normalizeSex = (value) => {
+  const text = String(value ?? '')
+    .trim()
+    .toLowerCase()
+  if (/^(남|m$|male$|[13]$)/.test(text)) return '남'
+  if (/^(여|f$|female$|[24]$)/.test(text)) return '여'
+  return null
+}
+
+// Keeps the 시/도 and 시/군/구 of an address so no street-level detail is stored.
+const normalizeRegion = (value) => {
+  const parts = String(value ?? '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+  return parts.length ? parts.slice(0, 2).join(' ') : null
+}
+
+// `categories` fixes the display order; other values follow alphabetically.
+export const DIMENSIONS = [
+  {
+    id: 'sex',
+    label: '성별',
+    headerKeywords: ['성별', 'sex', 'gender'],
+    categories: ['남', '여'],
+    normalize: normalizeSex,
+  },
+  {
+    id: 'region',
+    label: '지역',
+    headerKeywords: ['지역', '주소', '거주지'],
+    categories: [],
+    normalize: normalizeRegion,
+  },
+]
+
+export const getDimension = (dimensionId) => {
+  return DIMENSIONS.find((dimension) => dimension.id === dimensionId) || null
+}
+
+export const sortCategories = (dimension, values) => {
+  const rank = (value) => {
+    if (value === UNKNOWN_CATEGORY) return Number.MAX_SAFE_INTEGER
+    const index = dimension.categories.indexOf(value)
+    return index === -1 ? dimension.categories.length : index
+  }
+  return [...values].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+}
@@ -0,0 +1,53 @@
+// Layout of the 보건소 submission workbook. Blocks are written top to bottom;
+// edit this definition (not the writer) when the form changes.
+//
+// Block types:
+// - `title`: one merged row with `text`
+// - `fields`: label/value rows; `value` is a key of the export fields
+// - `groupTable`: header row plus one row per age group (and child rows when
+//   `includeChildren`); column `value` is a key of the group row
+// - `notes`: `label` followed by one row per note (missing days etc.)
+// - `blank`: an empty spacer row
+
+export const SUBMISSION_TEMPLATE = {
+  id: 'health-center-weekly',
+  sheetName: '주간보고',
+  fileName: ({ weekStart, weekEnd }) => `발열환자_주간보고_${weekStart}_${weekEnd}.xlsx`,
+  columnWidths: [24, 14, 14, 14],
+  blocks: [
+    { type: 'title', text: '나이대별 내원·발열 환자 주간 보고' },
+    { type: 'blank' },
+    {
+      type: 'fields',
+      rows: [
+        { label: '보고 기간', value: 'weekRange' },
+        { label: '자료 출처', value: 'sourceLabel' },
+        { label: '연령 구분', value: 'schemeLabel' },
+        { label: '작성 일시', value: 'generatedAt' },
+      ],
+    },
+    { type: 'blank' },
+    {
+      type: 'fields',
+      rows: [
+        { label: '총 내원 환자수', value: 'totalVisit', format: '#,##0' },
+        { label: '총 발열 환자수', value: 'totalFever', format: '#,##0' },
+        { label: '전체 발열 비율(%)', value: 'overallRatio', format: '0.0' },
+      ],
+    },
+    { type: 'blank' },
+    {
+      type: 'groupTable',
+      includeChildren: true,
+      childIndent: '  ',
+      columns: [
+        { header: '구분', value: 'label' },
+        { header: '총 환자수', value: 'totalCount', format: '#,##0' },
+        { header: '발열 환자수', value: 'feverCount', format: '#,##0' },
+        { header: '발열 비율(%)', value: 'ratio', format: '0.0' },
+      ],
+    },
+    { type: 'blank' },
+    { type: 'notes', label: '비고', value: 'notes' },
+  ],
+}
@@ -0,0 +1,112 @@
+import * as XLSX from 'xlsx'
+import { calculateRatio } from './aggregation.js'
+import { SUBMISSION_TEMPLATE } from './exportTemplates.js'
+import { REPORT_SOURCE_LABELS } from './format.js'
+
+const roundRatio = (value) => Math.round(value * 10) / 10
+
+// `report` is `{ source, weekStart, weekEnd, schemeLabel, totalVisit,
+// totalFever, overallRatio, groups, missingDays }` from either mode.
+const buildExportFields = (report, generatedAt) => {
+  const notes = []
+  if (report.missingDays?.length) {
+    notes.push(`파일 누락으로 0 처리한 날짜: ${report.missingDays.join(', ')}`)
+  }
+  return {
+    weekRange: `${report.weekStart} ~ ${report.weekEnd}`,
+    sourceLabel: REPORT_SOURCE_LABELS[report.source] || report.source,
+    schemeLabel: report.schemeLabel,
+    generatedAt,
+    totalVisit: report.totalVisit,
+    totalFever: report.totalFever,
+    overallRatio: roundRatio(report.overallRatio),
+    notes: notes.length ? notes : ['없음'],
+  }
+}
+
+const toGroupRow = (group, labelPrefix = '') => ({
+  label: `${labelPrefix}${group.label}`,
+  totalCount: group.totalCount,
+  feverCount: group.feverCount,
+  ratio: roundRatio(calculateRatio(group.feverCount, group.totalCount)),
+})
+
+const makeCell = (value, format) => {
+  if (typeof value === 'number') {
+    return format ? { t: 'n', v: value, z: format } : { t: 'n', v: value }
+  }
+  return { t: 's', v: value === null || value === undefined ? '' : String(value) }
+}
+
+const layoutBlocks = (template, fields, groups) => {
+  const rows = []
+  const merges = []
+  const lastColumn = template.columnWidths.length - 1
+
+  template.blocks.forEach((block) => {
+    if (block.type === 'blank') {
+      rows.push([])
+    } else if (block.type === 'title') {
+      merges.push({ s: { r: rows.length, c: 0 }, e: { r: rows.length, c: lastColumn } })
+      rows.push([makeCell(block.text)])
+    } else if (block.type === 'fields') {
+      block.rows.forEach((field) => {
+        rows.push([makeCell(field.label), makeCell(fields[field.value], field.format)])
+      })
+    } else if (block.type === 'groupTable') {
+      rows.push(block.columns.map((column) => makeCell(column.header)))
+      groups.forEach((group) => {
+        const children = block.includeChildren ? group.children || [] : []
+        const groupRows = [
+          toGroupRow(group),
+          ...children.map((child) => toGroupRow(child, block.childIndent)),
+        ]
+        groupRows.forEach((row) => {
+          rows.push(block.columns.map((column) => makeCell(row[column.value], column.format)))
+        })
+      })
+    } else if (block.type === 'notes') {
+      rows.push([makeCell(block.label)])
+      fields[block.value].forEach((note) => {
+        merges.push({ s: { r: rows.length, c: 0 }, e: { r: rows.length, c: lastColumn } })
+        rows.push([makeCell(note)])
+      })
+    }
+  })
+
+  return { rows, merges }
+}
+
+export const buildSubmissionWorkbook = (
+  report,
+  { template = SUBMISSION_TEMPLATE, generatedAt } = {},
+) => {
+  const fields = buildExportFields(report, generatedAt)
+  const { rows, merges } = layoutBlocks(template, fields, report.groups || [])
+
+  const sheet = {}
+  let maxColumn = 0
+  rows.forEach((row, rowIndex) => {
+    row.forEach((cell, columnIndex) => {
+      sheet[XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex })] = cell
+      maxColumn = Math.max(maxColumn, columnIndex)
+    })
+  })
+  const lastColumn = Math.max(maxColumn, template.columnWidths.length - 1)
+  sheet['!ref'] = XLSX.utils.encode_range({
+    s: { r: 0, c: 0 },
+    e: { r: Math.max(rows.length - 1, 0), c: lastColumn },
+  })
+  sheet['!merges'] = merges
+  sheet['!cols'] = template.columnWidths.map((width) => ({ wch: width }))
+
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(workbook, sheet, template.sheetName)
+  return workbook
+}
+
+export const downloadSubmissionWorkbook = (report, options = {}) => {
+  const template = options.template || SUBMISSION_TEMPLATE
+  const workbook = buildSubmissionWorkbook(report, { ...options, template })
+  XLSX.writeFile(workbook, template.fileName(report))
+}
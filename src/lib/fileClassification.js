@@ -0,0 +1,106 @@
+// Sorts dropped files into visit and fever files. The `_총환자수` /
+// `_발열환자수` suffix decides; for names that do not follow the rule, sheet
+// names and the first rows are searched for words only one kind of file uses.
+
+import * as XLSX from 'xlsx'
+import { SPREADSHEET_EXTENSIONS, getFileExtension } from './spreadsheetFormats.js'
+
+export const UPLOAD_SUFFIXES = {
+  visit: '총환자수',
+  fever: '발열환자수',
+}
+
+const NAME_KEYWORDS = {
+  visit: ['총환자', '전체환자'],
+  fever: ['발열'],
+}
+
+const CONTENT_KEYWORDS = {
+  visit: ['총환자', '전체환자', '총 환자', '전체 환자'],
+  fever: ['발열', '체온', 'fever'],
+}
+
+const CONTENT_ROW_LIMIT = 5
+
+const isSpreadsheet = (name) => SPREADSHEET_EXTENSIONS.includes(getFileExtension(name))
+
+// Names from macOS archives and file pickers may be decomposed (NFD) Hangul.
+export const normalizeFileName = (name) => String(name || '').normalize('NFC')
+
+const findKinds = (text, keywords) => {
+  return Object.keys(keywords).filter((kind) =>
+    keywords[kind].some((keyword) => text.includes(keyword)),
+  )
+}
+
+// 'visit', 'fever' or null. A name with both kinds' words counts as unknown.
+export const classifyFileName = (name) => {
+  const kinds = findKinds(normalizeFileName(name).toLowerCase(), NAME_KEYWORDS)
+  return kinds.length === 1 ? kinds[0] : null
+}
+
+// `sheets` as `[{ name, rows }]`, see `readWorkbookSheets` in App.jsx.
+export const classifyWorkbookContent = (sheets) => {
+  const text = sheets
+    .flatMap((sheet) => [
+      sheet.name,
+      ...sheet.rows.slice(0, CONTENT_ROW_LIMIT).flatMap((row) => row || []),
+    ])
+    .filter((value) => typeof value === 'string')
+    .join(' ')
+    .toLowerCase()
+  const kinds = findKinds(text, CONTENT_KEYWORDS)
+  return kinds.length === 1 ? kinds[0] : null
+}
+
+// Zip entry names carry no reliable encoding flag: archives made by Windows
+// Explorer on Korean systems use CP949, most others UTF-8.
+const decodeEntryName = (binaryName) => {
+  if (Array.from(binaryName).some((char) => char.charCodeAt(0) > 0xff)) return binaryName
+  const bytes = Uint8Array.from(binaryName, (char) => char.charCodeAt(0))
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+  } catch (error) {
+    return new TextDecoder('euc-kr').decode(bytes)
+  }
+}
+
+// Spreadsheet entries of a zip archive as `File` objects, named without their
+// folder. Folders, other files and macOS metadata entries are left out.
+export const readZipSpreadsheets = (arrayBuffer) => {
+  const archive = XLSX.CFB.read(new Uint8Array(arrayBuffer), { type: 'array' })
+  return archive.FileIndex.map((entry, index) => ({
+    path: decodeEntryName(archive.FullPaths[index]),
+    entry,
+  }))
+    .filter(({ path, entry }) => entry.type === 2 && entry.content && !path.includes('__MACOSX/'))
+    .map(({ path, entry }) => ({
+      name: normalizeFileName(path.split('/').pop()),
+      content: entry.content,
+    }))
+    .filter(({ name }) => isSpreadsheet(name) && !name.startsWith('.'))
+    .map(({ name, content }) => new File([content], name))
+}
+
+// Expands zip archives and splits the rest into spreadsheets and ignored
+// names (other extensions, unreadable archives).
+export const expandDroppedFiles = async (files) => {
+  const spreadsheets = []
+  const ignored = []
+  for (const file of files) {
+    if (getFileExtension(file.name) === 'zip') {
+      try {
+        const entries = readZipSpreadsheets(await file.arrayBuffer())
+        if (!entries.length) ignored.push(file.name)
+        spreadsheets.push(...entries)
+      } catch (error) {
+        ignored.push(file.name)
+      }
+    } else if (isSpreadsheet(file.name)) {
+      spreadsheets.push(file)
+    } else {
+      ignored.push(file.name)
+    }
+  }
+  return { spreadsheets, ignored }
+}
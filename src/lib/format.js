@@ -0,0 +1,16 @@
+export const REPORT_SOURCE_LABELS = {
+  weekly: 'Drive 자동 집계',
+  upload: '파일 업로드',
+}
+
+export const formatPercent = (value) => `${value.toFixed(1)}%`
+export const formatWeekLabel = (report) => `${report.weekStart} ~ ${report.weekEnd}`
+
+export const formatTimestamp = (date) => {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  const hours = String(date.getHours()).padStart(2, '0')
+  const minutes = String(date.getMinutes()).padStart(2, '0')
+  return `${year}-${month}-${day} ${hours}:${minutes}`
+}
@@ -0,0 +1,150 @@
+// IndexedDB storage for offline use: the last `/api/reports` response and the
+// upload sessions. A session keeps the file metadata and the extracted ages
+// only; the raw files, patient ids (`patients`), raw preview cells and the
+// values of unparsed age cells (often birth dates) are never written.
+
+import { formatTimestamp } from './format.js'
+
+const DB_NAME = 'patient-report'
+const DB_VERSION = 2
+const SESSION_STORE = 'uploadSessions'
+const CACHE_STORE = 'cache'
+const REPORTS_CACHE_KEY = 'reports'
+
+const SESSION_FILE_FIELDS = [
+  'name',
+  'kind',
+  'kindSource',
+  'dateString',
+  'nameIssue',
+  'ages',
+  'records',
+  'error',
+  'source',
+  'selection',
+  'sheetOptions',
+]
+
+let databasePromise = null
+
+// Unparsed cells keep only their reason code, enough for the counts and the
+// data-quality checks.
+const toSessionFile = (entry) => {
+  return {
+    ...Object.fromEntries(SESSION_FILE_FIELDS.map((field) => [field, entry[field]])),
+    unparsed: (entry.unparsed || []).map((cell) => ({ reason: cell.reason })),
+  }
+}
+
+// Version 1 stored the values of unparsed cells; version 2 rewrites those
+// sessions without them.
+const upgradeDatabase = (request, oldVersion) => {
+  if (oldVersion < 1) {
+    request.result.createObjectStore(SESSION_STORE, { keyPath: 'id' })
+    request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' })
+    return
+  }
+  if (oldVersion < 2) {
+    const cursorRequest = request.transaction.objectStore(SESSION_STORE).openCursor()
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result
+      if (!cursor) return
+      cursor.update({ ...cursor.value, files: cursor.value.files.map(toSessionFile) })
+      cursor.continue()
+    }
+  }
+}
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = (event) => upgradeDatabase(request, event.oldVersion)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((error) => {
+      databasePromise = null
+      throw error
+    })
+  }
+  return databasePromise
+}
+
+// Runs `operate(store)` in one transaction and resolves with the result of the
+// request it returns once the transaction has committed.
+const runTransaction = async (storeName, mode, operate) => {
+  const database = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode)
+    const request = operate(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+export const saveCachedReports = (data) => {
+  return runTransaction(CACHE_STORE, 'readwrite', (store) =>
+    store.put({ key: REPORTS_CACHE_KEY, data, savedAt: formatTimestamp(new Date()) }),
+  )
+}
+
+// Signing out drops the copy so the next user of the device cannot read it.
+export const clearCachedReports = () => {
+  return runTransaction(CACHE_STORE, 'readwrite', (store) => store.delete(REPORTS_CACHE_KEY))
+}
+
+// `{ data, savedAt }` or null when nothing was cached yet.
+export const loadCachedReports = async () => {
+  const entry = await runTransaction(CACHE_STORE, 'readonly', (store) =>
+    store.get(REPORTS_CACHE_KEY),
+  )
+  return entry || null
+}
+
+// Upload entry for a stored file. Without the `File` it cannot be parsed again.
+export const restoreSessionFile = (stored) => ({
+  ...stored,
+  file: null,
+  patients: null,
+  preview: [],
+})
+
+export const listUploadSessions = async () => {
+  const sessions = await runTransaction(SESSION_STORE, 'readonly', (store) => store.getAll())
+  return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+}
+
+// `session` is `{ id, name, reportDate, dimensionIds, files }` with upload
+// entries; a stored session with the same id keeps its name and createdAt.
+export const saveUploadSession = (session) => {
+  const now = formatTimestamp(new Date())
+  return runTransaction(SESSION_STORE, 'readwrite', (store) => {
+    const request = store.get(session.id)
+    request.onsuccess = () => {
+      const stored = request.result
+      store.put({
+        id: session.id,
+        name: stored?.name || session.name,
+        createdAt: stored?.createdAt || now,
+        updatedAt: now,
+        reportDate: session.reportDate,
+        dimensionIds: session.dimensionIds,
+        files: session.files.map(toSessionFile),
+      })
+    }
+  })
+}
+
+export const renameUploadSession = (id, name) => {
+  return runTransaction(SESSION_STORE, 'readwrite', (store) => {
+    const request = store.get(id)
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, name })
+    }
+  })
+}
+
+export const deleteUploadSession = (id) => {
+  return runTransaction(SESSION_STORE, 'readwrite', (store) => store.delete(id))
+}
@@ -0,0 +1,71 @@
+// Parses upload files in Web Workers so large exports do not freeze the page.
+// At most `size` files are parsed at once; the others wait in order.
+
+export class ParseCancelledError extends Error {}
+
+const createWorker = () =>
+  new Worker(new URL('./uploadParser.worker.js', import.meta.url), { type: 'module' })
+
+export const createParserPool = (size) => {
+  const idleWorkers = []
+  const running = new Map()
+  let queue = []
+
+  const finish = (worker, task, settle) => {
+    running.delete(worker)
+    idleWorkers.push(worker)
+    settle(task)
+    runNext()
+  }
+
+  const runNext = () => {
+    if (!queue.length) return
+    let worker = idleWorkers.pop()
+    if (!worker) {
+      if (running.size >= size) return
+      worker = createWorker()
+    }
+    const task = queue.shift()
+    running.set(worker, task)
+    worker.onmessage = (event) => {
+      const message = event.data
+      if (message.type === 'stage') {
+        task.onStage(message.stage)
+      } else if (message.type === 'result') {
+        finish(worker, task, () => task.resolve(message.result))
+      } else {
+        finish(worker, task, () => task.reject(new Error(message.message)))
+      }
+    }
+    worker.onerror = (event) => {
+      event.preventDefault()
+      worker.terminate()
+      running.delete(worker)
+      task.reject(new Error(event.message || '파일을 처리하지 못했습니다.'))
+      runNext()
+    }
+    worker.postMessage(task.request)
+  }
+
+  // `request` is `{ file, kind, fallbackDate, override }` as for
+  // `parseUploadFile`; resolves with its result (without the `File`).
+  const parse = (request, onStage = () => {}) =>
+    new Promise((resolve, reject) => {
+      queue.push({ request, onStage, resolve, reject })
+      onStage('queued')
+      runNext()
+    })
+
+  // Stops running and queued parses; their promises reject with
+  // ParseCancelledError. The pool starts new workers on the next `parse`.
+  const cancel = () => {
+    const cancelled = [...running.values(), ...queue]
+    running.forEach((task, worker) => worker.terminate())
+    running.clear()
+    idleWorkers.splice(0).forEach((worker) => worker.terminate())
+    queue = []
+    cancelled.forEach((task) => task.reject(new ParseCancelledError('파일 읽기를 취소했습니다.')))
+  }
+
+  return { parse, cancel }
+}
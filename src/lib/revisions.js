@@ -0,0 +1,42 @@
+// Revision history for weeks that are aggregated again, e.g. when a file for
+// a missing day arrives late. Each entry keeps the values the week had before
+// the revision made at `revisedAt`, and why it was made (`reason`).
+
+// `lateFiles`: a missing day's file arrived (Apps Script recheck).
+// `reaggregated`: the week was aggregated again (backfill, folder CLI).
+// `manual`: a week from upload mode replaced it.
+export const REVISION_REASONS = ['lateFiles', 'reaggregated', 'manual']
+
+const getDefaultReason = (next) => (next.source === 'manual' ? 'manual' : 'reaggregated')
+
+const snapshotReport = (report) => ({
+  totalVisit: report.totalVisit,
+  totalFever: report.totalFever,
+  overallRatio: report.overallRatio,
+  missingDays: report.missingDays || [],
+})
+
+const hasRevisionChanges = (previous, next) => {
+  return (
+    previous.totalVisit !== next.totalVisit ||
+    previous.totalFever !== next.totalFever ||
+    (previous.missingDays || []).join(',') !== (next.missingDays || []).join(',')
+  )
+}
+
+// `previous` is the stored week being replaced by `next` (or null). Its history
+// is carried over; when the totals or missing days changed, its values are
+// appended with `next.createdAt` as the revision time and `reason` (one of
+// REVISION_REASONS, by default from `next.source`).
+export const applyRevision = (previous, next, reason = getDefaultReason(next)) => {
+  if (!previous) return { ...next, revisedAt: '', revisions: [] }
+  const revisions = Array.isArray(previous.revisions) ? previous.revisions : []
+  if (!hasRevisionChanges(previous, next)) {
+    return { ...next, revisedAt: previous.revisedAt || '', revisions }
+  }
+  return {
+    ...next,
+    revisedAt: next.createdAt,
+    revisions: [...revisions, { revisedAt: next.createdAt, reason, ...snapshotReport(previous) }],
+  }
+}
@@ -0,0 +1,126 @@
+// File types accepted for the daily age lists. Workbooks (xlsx, xls, ods) are
+// read by SheetJS or Google Sheets; CSV/TSV exports are decoded and split here
+// into the same `{ name, rows }` sheets, so every format goes through the same
+// age column detection. Many EMRs write CSV in CP949, so the encoding is
+// detected from the bytes instead of assuming UTF-8.
+
+export const SPREADSHEET_EXTENSIONS = ['xlsx', 'xls', 'ods', 'csv', 'tsv']
+
+const TEXT_EXTENSIONS = ['csv', 'tsv']
+const DELIMITERS = [',', '\t', ';']
+
+export const getFileExtension = (fileName) => {
+  const match = String(fileName || '').match(/\.([a-z0-9]+)$/i)
+  return match ? match[1].toLowerCase() : ''
+}
+
+export const isTextSpreadsheet = (fileName) => TEXT_EXTENSIONS.includes(getFileExtension(fileName))
+
+// `bytes` may hold 0..255 or signed values (Apps Script `Blob.getBytes()`).
+const isValidUtf8 = (bytes) => {
+  let pending = 0
+  for (let index = 0; index < bytes.length; index += 1) {
+    const byte = bytes[index] & 0xff
+    if (pending) {
+      if ((byte & 0xc0) !== 0x80) return false
+      pending -= 1
+    } else if (byte >= 0xc2 && byte <= 0xdf) {
+      pending = 1
+    } else if ((byte & 0xf0) === 0xe0) {
+      pending = 2
+    } else if (byte >= 0xf0 && byte <= 0xf4) {
+      pending = 3
+    } else if (byte >= 0x80) {
+      return false
+    }
+  }
+  return pending === 0
+}
+
+// 'UTF-8' or 'CP949'. Korean Windows programs write CP949, the superset of
+// EUC-KR with 8,822 extra syllables that a strict EUC-KR decoder garbles.
+export const detectTextEncoding = (bytes) => (isValidUtf8(bytes) ? 'UTF-8' : 'CP949')
+
+// Browsers decode `windows-949` as full CP949; Node's ICU does not, so the
+// CLI passes SheetJS's code page table instead. Apps Script decodes with
+// `Blob.getDataAsString`.
+export const decodeTextBytes = (
+  bytes,
+  decodeCp949 = (cp949Bytes) => new TextDecoder('windows-949').decode(cp949Bytes),
+) => {
+  if (detectTextEncoding(bytes) === 'UTF-8') return new TextDecoder('utf-8').decode(bytes)
+  return decodeCp949(bytes)
+}
+
+const countOutsideQuotes = (line, delimiter) => {
+  let count = 0
+  let quoted = false
+  for (const char of line) {
+    if (char === '"') quoted = !quoted
+    else if (char === delimiter && !quoted) count += 1
+  }
+  return count
+}
+
+// TSV files always use tabs; for CSV the first non-empty line picks the most
+// frequent of comma, tab and semicolon (comma on a tie).
+const detectDelimiter = (text, extension) => {
+  if (extension === 'tsv') return '\t'
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim()) || ''
+  return DELIMITERS.reduce((best, delimiter) =>
+    countOutsideQuotes(firstLine, delimiter) > countOutsideQuotes(firstLine, best)
+      ? delimiter
+      : best,
+  )
+}
+
+// RFC 4180 fields: quoted fields may hold delimiters, line breaks and `""`.
+const parseDelimitedText = (text, delimiter) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index]
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"'
+        index += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && !field) {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+// One sheet named after the file, with empty cells as null like SheetJS rows.
+export const readTextSheets = (text, fileName) => {
+  const content = text.replace(/^\uFEFF/, '')
+  const rows = parseDelimitedText(content, detectDelimiter(content, getFileExtension(fileName)))
+  return [
+    {
+      name: String(fileName).replace(/\.[^.]+$/, ''),
+      rows: rows.map((cells) => cells.map((cell) => (cell.trim() ? cell : null))),
+    },
+  ]
+}
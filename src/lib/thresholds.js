@@ -0,0 +1,110 @@
+// Epidemic threshold evaluation for weekly fever ratios.
+//
+// `method: 'baseline'` follows the ILI surveillance approach: the threshold
+// for a season is mean + `sdMultiplier` × SD of the ratios in the previous
+// `seasons` seasons' non-epidemic ISO weeks. A season runs from ISO week 36 to
+// week 35 of the next year. When there is not enough history (`minWeeks`), or
+// with `method: 'fixed'`, the per-scheme fixed values are used instead.
+
+import { DEFAULT_SCHEME_ID } from './ageGroupSchemes.js'
+import { calculateRatio } from './aggregation.js'
+import { getIsoWeek } from './dates.js'
+
+export const OVERALL_SERIES_ID = 'overall'
+
+const SEASON_START_WEEK = 36
+
+export const DEFAULT_THRESHOLD_CONFIG = {
+  method: 'baseline',
+  seasons: 3,
+  nonEpidemicWeeks: [21, 35],
+  sdMultiplier: 2,
+  minWeeks: 8,
+  // `{ [schemeId]: { overall: 10, '0-6': 15 } }`, ratios in percent.
+  fixed: {},
+}
+
+export const mergeThresholdConfig = (overrides) => {
+  if (!overrides || typeof overrides !== 'object') return DEFAULT_THRESHOLD_CONFIG
+  return { ...DEFAULT_THRESHOLD_CONFIG, ...overrides }
+}
+
+const getSeasonYear = (weekStart) => {
+  const isoWeek = getIsoWeek(weekStart)
+  if (!isoWeek) return null
+  return isoWeek.week >= SEASON_START_WEEK ? isoWeek.year : isoWeek.year - 1
+}
+
+const isNonEpidemicWeek = (weekStart, [firstWeek, lastWeek]) => {
+  const isoWeek = getIsoWeek(weekStart)
+  return Boolean(isoWeek) && isoWeek.week >= firstWeek && isoWeek.week <= lastWeek
+}
+
+const getSeriesCounts = (report, seriesId) => {
+  if (seriesId === OVERALL_SERIES_ID) {
+    return { feverCount: report.totalFever, totalCount: report.totalVisit }
+  }
+  return (report.groups || []).find((group) => group.id === seriesId) || null
+}
+
+const getSeriesRatio = (report, seriesId) => {
+  const counts = getSeriesCounts(report, seriesId)
+  if (!counts || !counts.totalCount) return null
+  return calculateRatio(counts.feverCount, counts.totalCount)
+}
+
+const computeBaseline = (report, history, seriesId, config) => {
+  const seasonYear = getSeasonYear(report.weekStart)
+  if (seasonYear === null) return null
+  const schemeId = report.schemeId || DEFAULT_SCHEME_ID
+
+  const ratios = history
+    .filter((item) => {
+      if (seriesId !== OVERALL_SERIES_ID && (item.schemeId || DEFAULT_SCHEME_ID) !== schemeId) {
+        return false
+      }
+      const itemSeason = getSeasonYear(item.weekStart)
+      return (
+        itemSeason !== null &&
+        itemSeason < seasonYear &&
+        itemSeason >= seasonYear - config.seasons &&
+        isNonEpidemicWeek(item.weekStart, config.nonEpidemicWeeks)
+      )
+    })
+    .map((item) => getSeriesRatio(item, seriesId))
+    .filter((ratio) => ratio !== null)
+
+  if (ratios.length < config.minWeeks) return null
+  const mean = ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length
+  const variance = ratios.reduce((sum, ratio) => sum + (ratio - mean) ** 2, 0) / ratios.length
+  return mean + config.sdMultiplier * Math.sqrt(variance)
+}
+
+const resolveThreshold = (report, history, seriesId, config) => {
+  if (config.method === 'baseline') {
+    const baseline = computeBaseline(report, history, seriesId, config)
+    if (baseline !== null) return { threshold: baseline, source: 'baseline' }
+  }
+  const fixed = config.fixed?.[report.schemeId || DEFAULT_SCHEME_ID]?.[seriesId]
+  if (Number.isFinite(fixed)) return { threshold: fixed, source: 'fixed' }
+  return null
+}
+
+// Returns `{ overall, groups: { [groupId]: ... } }` where each entry is
+// `{ threshold, source, ratio, exceeded }`; series without a threshold are left out.
+export const evaluateThresholds = (report, history, config = DEFAULT_THRESHOLD_CONFIG) => {
+  const evaluate = (seriesId) => {
+    const resolved = resolveThreshold(report, history, seriesId, config)
+    if (!resolved) return null
+    const ratio = getSeriesRatio(report, seriesId) ?? 0
+    return { ...resolved, ratio, exceeded: ratio > resolved.threshold }
+  }
+
+  const groups = (report.groups || []).reduce((acc, group) => {
+    const result = evaluate(group.id)
+    if (result) acc[group.id] = result
+    return acc
+  }, {})
+
+  return { overall: evaluate(OVERALL_SERIES_ID), groups }
+}
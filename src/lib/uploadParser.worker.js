@@ -0,0 +1,16 @@
+import { parseUploadFile } from './uploadParsing.js'
+
+// Message in: `{ file, kind, fallbackDate, override }`. Messages out:
+// `{ type: 'stage', stage }` while working, then `{ type: 'result', result }`
+// or `{ type: 'error', message }`.
+self.onmessage = async (event) => {
+  const { file, kind, fallbackDate, override } = event.data
+  try {
+    const result = await parseUploadFile(file, kind, fallbackDate, override, (stage) =>
+      self.postMessage({ type: 'stage', stage }),
+    )
+    self.postMessage({ type: 'result', result })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
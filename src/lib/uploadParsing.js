@@ -0,0 +1,150 @@
+// Reads one uploaded day file into the upload state entry: its kind, the date
+// from its name, the detected age column and the ages. Runs inside the parser
+// workers (see parserPool.js), so the result holds only cloneable data.
+
+import * as XLSX from 'xlsx'
+import {
+  buildColumnPreview,
+  columnLabel,
+  extractColumnAges,
+  extractColumnDimensions,
+  extractColumnPatients,
+  getColumnCount,
+  resolveAgeSource,
+} from './columnDetection.js'
+import { parseDateLabel } from './dates.js'
+import {
+  UPLOAD_SUFFIXES,
+  classifyFileName,
+  classifyWorkbookContent,
+  normalizeFileName,
+} from './fileClassification.js'
+import {
+  SPREADSHEET_EXTENSIONS,
+  decodeTextBytes,
+  isTextSpreadsheet,
+  readTextSheets,
+} from './spreadsheetFormats.js'
+
+const buildFileRegex = (suffix) => {
+  const extensions = SPREADSHEET_EXTENSIONS.join('|')
+  return new RegExp(`^(\\d{4}-\\d{2}-\\d{2})_${suffix}\\.(${extensions})$`, 'i')
+}
+
+const readWorkbookSheets = (workbook) => {
+  return workbook.SheetNames.map((sheetName) => ({
+    name: sheetName,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+      header: 1,
+      raw: true,
+      defval: null,
+    }),
+  }))
+}
+
+const findAgesInSheets = (sheets, referenceDate, override) => {
+  const sheetOptions = sheets.map((sheet) => ({
+    name: sheet.name,
+    columnCount: Math.max(getColumnCount(sheet.rows), 1),
+  }))
+  const selection = resolveAgeSource(sheets, referenceDate, override)
+  if (!selection) {
+    return {
+      ages: [],
+      unparsed: [],
+      patients: null,
+      records: [],
+      selection: null,
+      preview: [],
+      sheetOptions,
+    }
+  }
+  const sheet = sheets.find((item) => item.name === selection.sheetName)
+  const { ages, unparsed } = extractColumnAges(sheet.rows, selection, referenceDate)
+  return {
+    ages,
+    unparsed,
+    // Patient ids stay in the app's in-memory state; only counts leave the browser.
+    patients:
+      selection.idColumn === -1
+        ? null
+        : extractColumnPatients(sheet.rows, selection, referenceDate),
+    records: extractColumnDimensions(sheet.rows, selection, referenceDate),
+    selection,
+    preview: buildColumnPreview(sheet.rows, selection, referenceDate),
+    sheetOptions,
+  }
+}
+
+const formatSourceLabel = (selection) => {
+  const column = `${columnLabel(selection.column)}열`
+  const header = selection.header ? ` (${selection.header})` : ''
+  return `${selection.sheetName} / ${column}${header}`
+}
+
+const matchUploadName = (name, kind) => {
+  const match = kind ? name.match(buildFileRegex(UPLOAD_SUFFIXES[kind])) : null
+  if (!match) return { dateString: null, nameIssue: 'pattern' }
+  return { dateString: match[1], nameIssue: parseDateLabel(match[1]) ? '' : 'date' }
+}
+
+// `kind` is 'visit' or 'fever', or null to classify the file by its name and
+// then by its content (`kind` stays null when neither tells). `onStage` is
+// called with 'reading', 'parsing' and 'extracting' as the work advances.
+export const parseUploadFile = async (file, kind, fallbackDate, override = null, onStage) => {
+  const reportStage = onStage || (() => {})
+  const name = normalizeFileName(file.name)
+  const nameKind = classifyFileName(name)
+  let fileKind = kind || nameKind
+  let kindSource = kind ? 'manual' : nameKind ? 'name' : ''
+  let nameCheck = matchUploadName(name, fileKind)
+
+  let result = {
+    ages: [],
+    unparsed: [],
+    patients: null,
+    records: [],
+    selection: null,
+    preview: [],
+    sheetOptions: [],
+  }
+  let error = ''
+  try {
+    reportStage('reading')
+    const arrayBuffer = await file.arrayBuffer()
+    reportStage('parsing')
+    const sheets = isTextSpreadsheet(name)
+      ? readTextSheets(decodeTextBytes(new Uint8Array(arrayBuffer)), name)
+      : readWorkbookSheets(XLSX.read(arrayBuffer, { type: 'array', cellDates: true }))
+    if (!fileKind) {
+      fileKind = classifyWorkbookContent(sheets)
+      kindSource = fileKind ? 'content' : ''
+      nameCheck = matchUploadName(name, fileKind)
+    }
+    reportStage('extracting')
+    const referenceDate = nameCheck.nameIssue ? fallbackDate : nameCheck.dateString
+    result = findAgesInSheets(sheets, referenceDate, override)
+    if (!result.ages.length) {
+      error = '0~120세 범위의 나이 데이터를 찾지 못했습니다. 시트와 열을 확인하세요.'
+    }
+  } catch (fileError) {
+    error = '파일을 읽지 못했습니다.'
+  }
+
+  return {
+    name,
+    kind: fileKind,
+    kindSource,
+    dateString: nameCheck.dateString,
+    nameIssue: nameCheck.nameIssue,
+    ages: result.ages,
+    unparsed: result.unparsed,
+    patients: result.patients,
+    records: result.records,
+    error,
+    source: result.selection ? formatSourceLabel(result.selection) : '',
+    selection: result.selection,
+    preview: result.preview,
+    sheetOptions: result.sheetOptions,
+  }
+}
@@ -0,0 +1,62 @@
+/* global __BUILD_ASSETS__, __BUILD_VERSION__ */
+// Service worker for offline use, written to dist/sw.js by
+// scripts/vite-service-worker-plugin.js with the build's file list. The page
+// and every built file are cached at install, since the first page load is
+// not controlled by the worker yet. Pages fall back to the cached app shell.
+// `/api/` requests are left to the network; the app keeps its own copy of the
+// last reports (src/lib/offlineStore.js). Each build gets a new cache, and the
+// old ones are dropped on activate.
+
+const CACHE_NAME = `patient-report-${__BUILD_VERSION__}`
+const APP_SHELL = ['/', '/manifest.webmanifest', '/icon.svg', ...__BUILD_ASSETS__]
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL)))
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))),
+      )
+      .then(() => self.clients.claim()),
+  )
+})
+
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(CACHE_NAME)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put(fallbackUrl, response.clone())
+    return response
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl)
+    if (cached) return cached
+    throw error
+  }
+}
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+  if (url.pathname.startsWith('/api/')) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/'))
+  } else {
+    event.respondWith(cacheFirst(request))
+  }
+})
@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { reportsApi } from './scripts/vite-api-plugin.js'
+import { serviceWorker } from './scripts/vite-service-worker-plugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), reportsApi(), serviceWorker()],
 })